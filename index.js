@@ -1,4 +1,11 @@
 const resolveBitPath = require('@web4/resolve-bit-path')
+const crypto = require('crypto')
+const zlib = require('zlib')
+const fs = require('fs').promises
+const { posix: { join: joinPath } } = require('path')
+const { pipeline } = require('stream')
+const tar = require('tar-stream')
+const busboy = require('busboy')
 const Headers = require('fetch-headers')
 const mime = require('mime/lite')
 const SDK = require('@web4/sdk')
@@ -9,13 +16,17 @@ const makeFetch = require('make-fetch')
 const { EventIterator } = require('event-iterator')
 
 const DEFAULT_TIMEOUT = 5000
+// Same TTL we serve from `/.well-known/bit`
+const DEFAULT_DNS_TTL = 3600
+const DEFAULT_DNS_NEGATIVE_TTL = 60
 
 const NUMBER_REGEX = /^\d+$/
+const HEX_KEY_REGEX = /^[0-9a-f]{64}$/i
 const PROTOCOL_REGEX = /^\w+:\/\//
 const NOT_WRITABLE_ERROR = 'Archive not writable'
 
 const READABLE_ALLOW = ['GET', 'HEAD']
-const WRITABLE_ALLOW = ['PUT', 'POST', 'DELETE']
+const WRITABLE_ALLOW = ['PUT', 'POST', 'PATCH', 'DELETE', 'COPY', 'MOVE']
 const ALL_ALLOW = READABLE_ALLOW.concat(WRITABLE_ALLOW)
 
 const SPECIAL_FOLDER = '/$/'
@@ -23,11 +34,74 @@ const TAGS_FOLDER_NAME = 'tags/'
 const TAGS_FOLDER = SPECIAL_FOLDER + TAGS_FOLDER_NAME
 const EXTENSIONS_FOLDER_NAME = 'extensions/'
 const EXTENSIONS_FOLDER = SPECIAL_FOLDER + EXTENSIONS_FOLDER_NAME
+const DIFF_FOLDER_NAME = 'diff/'
+const DIFF_FOLDER = SPECIAL_FOLDER + DIFF_FOLDER_NAME
+const HISTORY_FOLDER_NAME = 'history/'
+const HISTORY_FOLDER = SPECIAL_FOLDER + HISTORY_FOLDER_NAME
+const INFO_FILE_NAME = 'info'
+const INFO_FILE = SPECIAL_FOLDER + INFO_FILE_NAME
+const PEERS_FOLDER_NAME = 'peers/'
+const PEERS_FOLDER = SPECIAL_FOLDER + PEERS_FOLDER_NAME
+const SWARM_FILE_NAME = 'swarm'
+const SWARM_FILE = SPECIAL_FOLDER + SWARM_FILE_NAME
+const MOUNTS_FOLDER_NAME = 'mounts/'
+const MOUNTS_FOLDER = SPECIAL_FOLDER + MOUNTS_FOLDER_NAME
+// Requests to `bit://localhost/` are about the fetch instance rather than a drive
+const LOCAL_HOST = 'localhost'
+const DRIVES_FOLDER_NAME = 'drives/'
+const DRIVES_FOLDER = SPECIAL_FOLDER + DRIVES_FOLDER_NAME
+const DEFAULT_HISTORY_LIMIT = 100
 const EXTENSION_EVENT = 'extension-message'
 const PEER_OPEN = 'peer-open'
 const PEER_REMOVE = 'peer-remove'
+const PEER_TIMEOUT_ERROR = 'Timed out looking for peers'
+const METADATA_HEADER = 'x-metadata'
+const CONTENT_RANGE_REGEX = /^bytes (\d+)-(\d+)\/(\d+|\*)$/
+const METADATA_HEADER_PREFIX = 'x-metadata-'
+// Verified upload digests get stored in the file metadata under this name
+const DIGEST_METADATA_KEY = 'digest'
+const DIGEST_ALGORITHM = 'sha-256'
+const SYMLINK_HEADER = 'x-symlink-target'
+// Same limit as Linux uses before giving up with ELOOP
+const MAX_SYMLINK_HOPS = 40
+
+const PROBLEMS = {
+  INVALID_UPLOAD_PATH: { statusCode: 400, title: 'Bad Request' },
+  INVALID_MOUNT: { statusCode: 400, title: 'Bad Request' },
+  INVALID_DRIVE_NAME: { statusCode: 400, title: 'Bad Request' },
+  INVALID_METADATA: { statusCode: 400, title: 'Bad Request' },
+  INVALID_COPY: { statusCode: 400, title: 'Bad Request' },
+  INVALID_RANGE: { statusCode: 400, title: 'Bad Request' },
+  LENGTH_MISMATCH: { statusCode: 400, title: 'Bad Request' },
+  DIGEST_MISMATCH: { statusCode: 400, title: 'Bad Request' },
+  NOT_WRITABLE: { statusCode: 403, title: 'Forbidden' },
+  SYMLINK_OUTSIDE_DRIVE: { statusCode: 403, title: 'Forbidden' },
+  NOT_FOUND: { statusCode: 404, title: 'Not Found' },
+  DRIVE_NOT_FOUND: { statusCode: 404, title: 'Unknown drive' },
+  VERSION_NOT_FOUND: { statusCode: 404, title: 'Version Not Found' },
+  TAG_NOT_FOUND: { statusCode: 404, title: 'Tag Not Found' },
+  PEER_NOT_FOUND: { statusCode: 404, title: 'Peer Not Found' },
+  METHOD_NOT_ALLOWED: { statusCode: 405, title: 'Method Not Allowed' },
+  ALREADY_EXISTS: { statusCode: 409, title: 'Conflict' },
+  DIRECTORY_NOT_EMPTY: { statusCode: 409, title: 'Conflict' },
+  PRECONDITION_FAILED: { statusCode: 412, title: 'Precondition Failed' },
+  RANGE_NOT_SATISFIABLE: { statusCode: 416, title: 'Range Not Satisfiable' },
+  // Not a standard status, but commonly used for requests the client gave up on
+  REQUEST_ABORTED: { statusCode: 499, title: 'Client Closed Request' },
+  SERVER_ERROR: { statusCode: 500, title: 'Server Error' },
+  SWARM_UNAVAILABLE: { statusCode: 501, title: 'Not Implemented' },
+  PEER_TIMEOUT: { statusCode: 504, title: 'Gateway Timeout' },
+  SYMLINK_LOOP: { statusCode: 508, title: 'Loop Detected' }
+}
+
+// Errors from Bitdrive use the same codes as Node's fs module
+const FS_ERROR_CODES = {
+  ENOENT: 'NOT_FOUND',
+  EEXIST: 'ALREADY_EXISTS',
+  ENOTEMPTY: 'DIRECTORY_NOT_EMPTY'
+}
+const WATCH_EVENTS = ['change', 'download', 'upload']
 
-// TODO: Add caching support
 const { resolveURL: DEFAULT_RESOLVE_URL } = require('@web4/dns')
 
 module.exports = function makeBitFetch (opts = {}) {
@@ -36,7 +110,17 @@ module.exports = function makeBitFetch (opts = {}) {
     resolveURL = DEFAULT_RESOLVE_URL,
     base,
     timeout = DEFAULT_TIMEOUT,
-    writable = false
+    writable = false,
+    renderDirectory = defaultRenderDirectory,
+    debug = false,
+    dnsTTL = DEFAULT_DNS_TTL,
+    dnsNegativeTTL = DEFAULT_DNS_NEGATIVE_TTL,
+    dnsCachePath = null,
+    maxDrives = Infinity,
+    idleTimeout = 0,
+    // Drives from a Bitdrive that was passed in belong to the application
+    closeDrives = !Bitdrive,
+    swarm = null
   } = opts
 
   let sdk = null
@@ -47,7 +131,36 @@ module.exports = function makeBitFetch (opts = {}) {
 
   const fetch = makeFetch(bitFetch)
 
-  fetch.close = () => onClose()
+  const writeLock = makeWriteLock()
+
+  const drivePool = makeDrivePool({
+    load: loadArchive,
+    maxDrives,
+    idleTimeout,
+    closeDrives
+  })
+
+  fetch.openDrives = () => drivePool.list()
+
+  // Drives that have been loaded or created by this fetch instance
+  const knownDrives = new Map()
+
+  // Swarm options for drives joined through `/$/swarm`, by discovery key
+  const swarmStates = new Map()
+
+  fetch.close = async () => {
+    await drivePool.closeAll()
+    await onClose()
+  }
+
+  const dnsCache = makeDNSCache({
+    resolveURL,
+    ttl: dnsTTL,
+    negativeTTL: dnsNegativeTTL,
+    persistPath: dnsCachePath
+  })
+
+  fetch.dnsCache = dnsCache
 
   function getExtension (archive, name) {
     const existing = archive.metadata.extensions.get(name)
@@ -105,52 +218,45 @@ module.exports = function makeBitFetch (opts = {}) {
     responseHeaders['Allow-CSP-From'] = '*'
     responseHeaders['Access-Control-Allow-Headers'] = '*'
 
+    // Keeps the drive from getting evicted while the request is in progress
+    let pooledKey = null
+    // Keeps other writes out between checking preconditions and committing a write
+    let unlockWrites = null
+
     try {
+      throwIfAborted(signal)
+
       let { pathname: path, key, version, searchParams } = parseBitURL(url)
       if (!path) path = '/'
       if (!path.startsWith('/')) path = '/' + path
 
+      const requestTimeout = getRequestTimeout(headers, searchParams, timeout)
+
+      if (key === LOCAL_HOST) {
+        return await handleLocalRequest({ path, method, searchParams, headers, responseHeaders })
+      }
+
       try {
-        const resolvedURL = await resolveURL(`bit://${key}`)
-        key = resolvedURL.hostname
+        key = await dnsCache.resolve(key)
       } catch (e) {
         // Probably a domain that couldn't resolve
         if (key.includes('.')) throw e
       }
 
-      let archive = await loadArchive(key)
+      let archive = await drivePool.acquire(key)
 
       if (!archive) {
-        return {
-          statusCode: 404,
-          headers: responseHeaders,
-          data: intoAsyncIterable('Unknown drive')
-        }
+        return respondWithProblem(responseHeaders, 'DRIVE_NOT_FOUND')
       }
 
-      await archive.ready()
+      pooledKey = archive.key.toString('hex')
 
-      if (!archive.version) {
-        if (!archive.peers.length) {
-          await new Promise((resolve, reject) => {
-            setTimeout(() => reject(new Error('Timed out looking for peers')), timeout)
-            archive.once('peer-open', resolve)
-          })
-        }
-        await new Promise((resolve, reject) => {
-          archive.metadata.update({ ifAvailable: true }, (err) => {
-            if (err) reject(err)
-            else resolve()
-          })
-        })
-      }
+      await archive.ready()
+      rememberDrive(key, archive)
+      await waitForUpdate(archive, requestTimeout, signal)
 
       if (version) {
-        if (NUMBER_REGEX.test(version)) {
-          archive = await archive.checkout(version)
-        } else {
-          archive = await archive.checkout(await archive.getTaggedVersion(version))
-        }
+        archive = await archive.checkout(await resolveVersion(archive, version))
         await archive.ready()
       }
 
@@ -168,10 +274,16 @@ module.exports = function makeBitFetch (opts = {}) {
         if (path === SPECIAL_FOLDER) {
           const files = [
             TAGS_FOLDER_NAME,
-            EXTENSIONS_FOLDER_NAME
+            EXTENSIONS_FOLDER_NAME,
+            DIFF_FOLDER_NAME,
+            HISTORY_FOLDER_NAME,
+            INFO_FILE_NAME,
+            PEERS_FOLDER_NAME,
+            SWARM_FILE_NAME,
+            MOUNTS_FOLDER_NAME
           ]
 
-          const data = renderFiles(headers, responseHeaders, url, path, files)
+          const data = await renderFiles(headers, responseHeaders, url, path, files)
           if (method === 'HEAD') {
             return {
               statusCode: 204,
@@ -204,6 +316,7 @@ module.exports = function makeBitFetch (opts = {}) {
               const tagName = path.slice(TAGS_FOLDER.length)
               try {
                 const tagVersion = await archive.getTaggedVersion(tagName)
+                responseHeaders.ETag = `"${tagVersion}"`
 
                 return {
                   statusCode: 200,
@@ -211,17 +324,16 @@ module.exports = function makeBitFetch (opts = {}) {
                   data: intoAsyncIterable(`${tagVersion}`)
                 }
               } catch {
-                return {
-                  statusCode: 404,
-                  headers: responseHeaders,
-                  data: intoAsyncIterable('Tag Not Found')
-                }
+                return respondWithProblem(responseHeaders, 'TAG_NOT_FOUND', `Tag not found: ${tagName}`)
               }
             }
           } else if (method === 'DELETE') {
             checkWritable(archive)
-            const tagName = path.slice(TAGS_FOLDER.length)
-            await archive.deleteTag(tagName || version)
+            const tagName = path.slice(TAGS_FOLDER.length) || version
+            if (!await tagPreconditionsHold(archive, tagName, headers)) {
+              return respondWithProblem(responseHeaders, 'PRECONDITION_FAILED')
+            }
+            await archive.deleteTag(tagName)
             responseHeaders.ETag = `"${archive.version}"`
 
             return {
@@ -233,10 +345,13 @@ module.exports = function makeBitFetch (opts = {}) {
             checkWritable(archive)
             const tagName = path.slice(TAGS_FOLDER.length)
             const tagVersion = archive.version
+            if (!await tagPreconditionsHold(archive, tagName, headers)) {
+              return respondWithProblem(responseHeaders, 'PRECONDITION_FAILED')
+            }
 
             await archive.createTag(tagName, tagVersion)
             responseHeaders['Content-Type'] = 'text/plain; charset=utf-8'
-            responseHeaders.ETag = `"${archive.version}"`
+            responseHeaders.ETag = `"${tagVersion}"`
 
             return {
               statusCode: 200,
@@ -250,11 +365,7 @@ module.exports = function makeBitFetch (opts = {}) {
               data: intoAsyncIterable('')
             }
           } else {
-            return {
-              statusCode: 405,
-              headers: responseHeaders,
-              data: intoAsyncIterable('Method Not Allowed')
-            }
+            return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
           }
         } else if (path.startsWith(EXTENSIONS_FOLDER)) {
           if (path === EXTENSIONS_FOLDER) {
@@ -264,7 +375,7 @@ module.exports = function makeBitFetch (opts = {}) {
                 responseHeaders['x-is-directory'] = 'true'
 
                 const extensions = listExtensionNames(archive)
-                const data = renderFiles(headers, responseHeaders, url, path, extensions)
+                const data = await renderFiles(headers, responseHeaders, url, path, extensions)
 
                 return {
                   statusCode: 204,
@@ -273,7 +384,9 @@ module.exports = function makeBitFetch (opts = {}) {
                 }
               }
 
-              const events = new EventIterator(({ push }) => {
+              // Live streams keep the drive open until they're closed
+              const unpin = drivePool.pin(pooledKey)
+              const events = new EventIterator(({ push, stop }) => {
                 function onMessage (name, content, peer) {
                   const id = peer.remotePublicKey.toString('hex')
                   // TODO: Fancy verification on the `name`?
@@ -294,7 +407,10 @@ module.exports = function makeBitFetch (opts = {}) {
                 archive.on(EXTENSION_EVENT, onMessage)
                 archive.on(PEER_OPEN, onPeerOpen)
                 archive.on(PEER_REMOVE, onPeerRemove)
+                const removeAbortListener = stopOnAbort(signal, stop)
                 return () => {
+                  unpin()
+                  removeAbortListener()
                   archive.removeListener(EXTENSION_EVENT, onMessage)
                   archive.removeListener(PEER_OPEN, onPeerOpen)
                   archive.removeListener(PEER_REMOVE, onPeerRemove)
@@ -309,11 +425,7 @@ module.exports = function makeBitFetch (opts = {}) {
                 data: events
               }
             } else {
-              return {
-                statusCode: 405,
-                headers: responseHeaders,
-                data: intoAsyncIterable('Method Not Allowed')
-              }
+              return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
             }
           } else {
             let extensionName = path.slice(EXTENSIONS_FOLDER.length)
@@ -329,11 +441,7 @@ module.exports = function makeBitFetch (opts = {}) {
                 const peers = getExtensionPeers(archive, extensionName)
                 const peer = peers.find(({ remotePublicKey }) => remotePublicKey.toString('hex') === extensionPeer)
                 if (!peer) {
-                  return {
-                    statusCode: 404,
-                    headers: responseHeaders,
-                    data: intoAsyncIterable('Peer Not Found')
-                  }
+                  return respondWithProblem(responseHeaders, 'PEER_NOT_FOUND', `Peer not found: ${extensionPeer}`)
                 }
                 extension.send(await collect(body), peer)
               } else {
@@ -362,51 +470,449 @@ module.exports = function makeBitFetch (opts = {}) {
                 }
               }
             } else {
+              return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
+            }
+          }
+        } else if (path.startsWith(DIFF_FOLDER)) {
+          if (method === 'GET') {
+            const fromVersion = await resolveVersion(archive, searchParams.get('from') || '0')
+            const toVersion = searchParams.has('to') ? await resolveVersion(archive, searchParams.get('to')) : archive.version
+            const prefix = searchParams.get('path') || '/'
+
+            let toArchive = archive
+            if (toVersion !== archive.version) {
+              toArchive = await archive.checkout(toVersion)
+              await toArchive.ready()
+            }
+
+            const diff = toArchive.createDiffStream(fromVersion, prefix)
+
+            const accept = headers.get('Accept') || ''
+            if (accept.includes('application/x-ndjson')) {
+              responseHeaders['Content-Type'] = 'application/x-ndjson'
+
+              return {
+                statusCode: 200,
+                headers: responseHeaders,
+                data: streamDiff(diff, prefix)
+              }
+            }
+
+            const entries = []
+            for await (const entry of readDiff(diff, prefix)) {
+              entries.push(entry)
+            }
+            const json = JSON.stringify(entries, null, '\t')
+
+            responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+            return {
+              statusCode: 200,
+              headers: responseHeaders,
+              data: intoAsyncIterable(json)
+            }
+          } else if (method === 'HEAD') {
+            return {
+              statusCode: 204,
+              headers: responseHeaders,
+              data: intoAsyncIterable('')
+            }
+          } else {
+            return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
+          }
+        } else if (path === PEERS_FOLDER) {
+          if (method === 'GET') {
+            const accept = headers.get('Accept') || ''
+            if (!accept.includes('text/event-stream')) {
+              const json = JSON.stringify(formatPeers(archive.peers), null, '\t')
+
+              responseHeaders['x-is-directory'] = 'true'
+              responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
               return {
-                statusCode: 405,
+                statusCode: 200,
                 headers: responseHeaders,
-                data: intoAsyncIterable('Method Not Allowed')
+                data: intoAsyncIterable(json)
+              }
+            }
+
+            const unpin = drivePool.pin(pooledKey)
+            const events = new EventIterator(({ push, stop }) => {
+              function onPeerOpen (peer) {
+                const [data] = formatPeers([peer])
+                push({ event: PEER_OPEN, data })
               }
+              function onPeerRemove (peer) {
+                // Whatever, probably an uninitialized peer
+                if (!peer.remotePublicKey) return
+                const [data] = formatPeers([peer])
+                push({ event: PEER_REMOVE, data })
+              }
+              archive.on(PEER_OPEN, onPeerOpen)
+              archive.on(PEER_REMOVE, onPeerRemove)
+              const removeAbortListener = stopOnAbort(signal, stop)
+              return () => {
+                unpin()
+                removeAbortListener()
+                archive.removeListener(PEER_OPEN, onPeerOpen)
+                archive.removeListener(PEER_REMOVE, onPeerRemove)
+              }
+            })
+
+            responseHeaders['Content-Type'] = 'text/event-stream'
+
+            return {
+              statusCode: 200,
+              headers: responseHeaders,
+              data: intoEventStream(events)
             }
+          } else if (method === 'HEAD') {
+            return {
+              statusCode: 204,
+              headers: responseHeaders,
+              data: intoAsyncIterable('')
+            }
+          } else {
+            return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
           }
-        } else {
-          return {
-            statusCode: 404,
-            headers: responseHeaders,
-            data: intoAsyncIterable('Not Found')
+        } else if (path === SWARM_FILE) {
+          const discoveryKey = archive.discoveryKey.toString('hex')
+          if (method === 'GET') {
+            const { announce = false, lookup = false } = swarmStates.get(discoveryKey) || {}
+            const json = JSON.stringify({
+              discoveryKey,
+              available: Boolean(swarm),
+              joined: swarmStates.has(discoveryKey),
+              announce,
+              lookup,
+              peers: archive.peers.length
+            }, null, '\t')
+
+            responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+            return {
+              statusCode: 200,
+              headers: responseHeaders,
+              data: intoAsyncIterable(json)
+            }
+          } else if ((method === 'PUT') || (method === 'DELETE')) {
+            // Controlling seeding is a write to the fetch instance rather than the archive
+            if (!writable) throw makeError('NOT_WRITABLE', NOT_WRITABLE_ERROR)
+            if (!swarm) {
+              return respondWithProblem(responseHeaders, 'SWARM_UNAVAILABLE', 'No swarm available, pass the `swarm` option along with your own `Bitdrive`')
+            }
+
+            const isJoin = method === 'PUT'
+            const announce = isJoin && (searchParams.get('announce') !== 'false')
+            const lookup = isJoin && (searchParams.get('lookup') !== 'false')
+
+            if (isJoin) {
+              await swarm.join(archive.discoveryKey, { announce, lookup })
+              swarmStates.set(discoveryKey, { announce, lookup })
+            } else {
+              await swarm.leave(archive.discoveryKey)
+              swarmStates.delete(discoveryKey)
+            }
+
+            const json = JSON.stringify({
+              discoveryKey,
+              announce,
+              lookup
+            }, null, '\t')
+
+            responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+            return {
+              statusCode: 200,
+              headers: responseHeaders,
+              data: intoAsyncIterable(json)
+            }
+          } else {
+            return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
+          }
+        } else if (path === INFO_FILE) {
+          if (method === 'GET') {
+            const info = await getDriveInfo(archive, isWritable)
+
+            const accept = headers.get('Accept') || ''
+            if (accept.includes('text/html')) {
+              responseHeaders['Content-Type'] = 'text/html; charset=utf-8'
+
+              return {
+                statusCode: 200,
+                headers: responseHeaders,
+                data: intoAsyncIterable(renderInfo(url, info))
+              }
+            }
+
+            const json = JSON.stringify(info, null, '\t')
+
+            responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+            return {
+              statusCode: 200,
+              headers: responseHeaders,
+              data: intoAsyncIterable(json)
+            }
+          } else if (method === 'HEAD') {
+            return {
+              statusCode: 204,
+              headers: responseHeaders,
+              data: intoAsyncIterable('')
+            }
+          } else {
+            return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
+          }
+        } else if (path.startsWith(MOUNTS_FOLDER)) {
+          const mountPath = getMountPath(path)
+
+          if (method === 'GET') {
+            if (path === MOUNTS_FOLDER) {
+              responseHeaders['x-is-directory'] = 'true'
+              const mounts = await listMounts(archive)
+              const json = JSON.stringify(mounts, null, '\t')
+
+              responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+              return {
+                statusCode: 200,
+                headers: responseHeaders,
+                data: intoAsyncIterable(json)
+              }
+            } else {
+              const stat = await statOrNull(archive, mountPath)
+              if (!stat || !stat.mount) {
+                return respondWithProblem(responseHeaders, 'NOT_FOUND', `No drive mounted at ${mountPath}`)
+              }
+              const json = JSON.stringify({ path: mountPath, ...formatMount(stat.mount) }, null, '\t')
+
+              responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+              return {
+                statusCode: 200,
+                headers: responseHeaders,
+                data: intoAsyncIterable(json)
+              }
+            }
+          } else if (method === 'PUT') {
+            checkWritable(archive)
+            if (mountPath === '/') {
+              return respondWithProblem(responseHeaders, 'INVALID_MOUNT', 'Can not mount over the root of the drive')
+            }
+
+            if (!body) {
+              return respondWithProblem(responseHeaders, 'INVALID_MOUNT', 'Mount requests need the bit:// URL to mount as the body')
+            }
+
+            const target = (await collect(body)).trim()
+            const { key: mountKey, version: mountVersion } = await parseMountTarget(target)
+
+            await archive.mount(mountPath, Buffer.from(mountKey, 'hex'), { version: mountVersion })
+            responseHeaders.ETag = `"${archive.version}"`
+
+            const mount = formatMount({ key: mountKey, version: mountVersion })
+            const json = JSON.stringify({ path: mountPath, ...mount }, null, '\t')
+
+            responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+            return {
+              statusCode: 201,
+              headers: responseHeaders,
+              data: intoAsyncIterable(json)
+            }
+          } else if (method === 'DELETE') {
+            checkWritable(archive)
+            const stat = await statOrNull(archive, mountPath)
+            if (!stat || !stat.mount) {
+              return respondWithProblem(responseHeaders, 'NOT_FOUND', `No drive mounted at ${mountPath}`)
+            }
+
+            await archive.unmount(mountPath)
+            responseHeaders.ETag = `"${archive.version}"`
+
+            return {
+              statusCode: 200,
+              headers: responseHeaders,
+              data: intoAsyncIterable('')
+            }
+          } else if (method === 'HEAD') {
+            return {
+              statusCode: 204,
+              headers: responseHeaders,
+              data: intoAsyncIterable('')
+            }
+          } else {
+            return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
+          }
+        } else if (path.startsWith(HISTORY_FOLDER)) {
+          if (method === 'GET') {
+            const entries = await getHistory(archive, '/', searchParams, signal)
+            const json = JSON.stringify(entries, null, '\t')
+
+            responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+            return {
+              statusCode: 200,
+              headers: responseHeaders,
+              data: intoAsyncIterable(json)
+            }
+          } else if (method === 'HEAD') {
+            return {
+              statusCode: 204,
+              headers: responseHeaders,
+              data: intoAsyncIterable('')
+            }
+          } else {
+            return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
           }
+        } else {
+          return respondWithProblem(responseHeaders, 'NOT_FOUND')
         }
       }
 
       if (method === 'PUT') {
         checkWritable(archive)
-        if (path.endsWith('/')) {
+        unlockWrites = await writeLock(pooledKey)
+        if (!await filePreconditionsHold(archive, path, headers)) {
+          return respondWithProblem(responseHeaders, 'PRECONDITION_FAILED')
+        }
+        const contentType = headers.get('Content-Type') || ''
+        if (path.endsWith('/') && contentType.includes('application/x-tar')) {
           await makeDir(path, { fs: archive })
-        } else {
+          const paths = await importTar(archive, path, body, signal)
+
+          return respondWithManifest(archive, paths, headers, responseHeaders)
+        } else if (path.endsWith('/')) {
+          await makeDir(path, { fs: archive })
+        } else if (headers.has(SYMLINK_HEADER)) {
+          const target = headers.get(SYMLINK_HEADER)
+          // Throws if the link would point outside of the drive
+          resolveLinkTarget(path, target)
+
           const parentDir = path.split('/').slice(0, -1).join('/')
-          if (parentDir) {
-            await makeDir(parentDir, { fs: archive })
+          if (parentDir) await makeDir(parentDir, { fs: archive })
+          await archive.symlink(target, path)
+        } else {
+          const length = getContentLength(headers)
+          const digest = getExpectedDigest(headers)
+          let metadata = getRequestMetadata(headers)
+          // The size lets us tell if the digest went stale from appending to the file later
+          if (digest && (length !== null)) {
+            const stored = JSON.stringify({ size: length, [DIGEST_ALGORITHM]: digest })
+            metadata = { ...metadata, [DIGEST_METADATA_KEY]: Buffer.from(stored) }
+          }
+          const source = Readable.from(verifyBody(body, length, digest))
+          await writeFile(archive, path, source, signal, metadata)
+        }
+        responseHeaders.ETag = await getWrittenETag(archive, path)
+
+        return {
+          statusCode: 200,
+          headers: responseHeaders,
+          data: intoAsyncIterable('')
+        }
+      } else if (method === 'PATCH') {
+        checkWritable(archive)
+        unlockWrites = await writeLock(pooledKey)
+        if (!await filePreconditionsHold(archive, path, headers)) {
+          return respondWithProblem(responseHeaders, 'PRECONDITION_FAILED')
+        }
+
+        const stat = await statOrNull(archive, path)
+        if (path.endsWith('/') || (stat && stat.isDirectory())) {
+          return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED', 'Only files can be patched')
+        }
+
+        // Missing files are treated as empty so they can be created by appending
+        const size = stat ? stat.size : 0
+        const expectedSize = headers.get('x-expected-size')
+        if ((expectedSize !== null) && (parseInt(expectedSize, 10) !== size)) {
+          return respondWithProblem(responseHeaders, 'PRECONDITION_FAILED', `Expected size ${expectedSize} but file is ${size} bytes`)
+        }
+
+        if (!body) {
+          return respondWithProblem(responseHeaders, 'INVALID_RANGE', 'PATCH requires a body')
+        }
+
+        const contentRange = headers.get('Content-Range')
+        if (contentRange) {
+          const range = parseContentRange(contentRange)
+          if (!range) {
+            return respondWithProblem(responseHeaders, 'INVALID_RANGE', `Invalid Content-Range: ${contentRange}`)
           }
 
-          const source = Readable.from(body)
-          const destination = archive.createWriteStream(path)
-          // The sink is needed because Bitdrive's write stream is duplex
+          const { start, end, total } = range
+          // Bitdrive can't overwrite data in place, so ranges can only add to the end of the file
+          const isOutside = (start !== size) || ((total !== null) && (total !== end + 1))
+          if (isOutside) {
+            responseHeaders['Content-Range'] = `bytes */${size}`
+            return respondWithProblem(responseHeaders, 'RANGE_NOT_SATISFIABLE')
+          }
 
-          source.pipe(destination)
+          const contentLength = getContentLength(headers)
+          if ((contentLength !== null) && (contentLength !== end - start + 1)) {
+            return respondWithProblem(responseHeaders, 'INVALID_RANGE', `Body was ${contentLength} bytes but Content-Range was for ${end - start + 1} bytes`)
+          }
 
-          await Promise.race([
-            once(source, 'error'),
-            once(destination, 'error'),
-            once(source, 'end')
-          ])
+          await writeRange(archive, path, body, start, end, signal)
+        } else if (headers.has('x-append')) {
+          await appendFile(archive, path, body, signal)
+        } else {
+          return respondWithProblem(responseHeaders, 'INVALID_RANGE', 'PATCH requires a Content-Range or x-append header')
         }
-        responseHeaders.ETag = `"${archive.version}"`
+        responseHeaders.ETag = await getWrittenETag(archive, path)
 
         return {
           statusCode: 200,
           headers: responseHeaders,
           data: intoAsyncIterable('')
         }
+      } else if (method === 'POST' && (headers.get('Content-Type') || '').includes('multipart/form-data')) {
+        checkWritable(archive)
+        unlockWrites = await writeLock(pooledKey)
+        if (!await filePreconditionsHold(archive, path, headers)) {
+          return respondWithProblem(responseHeaders, 'PRECONDITION_FAILED')
+        }
+        const directory = path.endsWith('/') ? path : `${path}/`
+        await makeDir(directory, { fs: archive })
+        const paths = await importFormData(archive, directory, body, headers.get('Content-Type'), signal)
+
+        return respondWithManifest(archive, paths, headers, responseHeaders)
+      } else if ((method === 'COPY') || (method === 'MOVE') || (method === 'POST' && (headers.has('x-copy-from') || headers.has('x-move-from')))) {
+        const isMove = (method === 'MOVE') || headers.has('x-move-from')
+        let sourceURL = url
+        let destinationURL = url
+        if (method === 'POST') {
+          sourceURL = headers.get('x-move-from') || headers.get('x-copy-from')
+        } else {
+          destinationURL = headers.get('Destination')
+          if (!destinationURL) {
+            return respondWithProblem(responseHeaders, 'INVALID_COPY', `${method} requires a Destination header`)
+          }
+        }
+
+        // Drives other than the one in the request URL need to be released when we're done
+        const openedKeys = []
+        try {
+          const source = await openTarget(sourceURL, url, archive, openedKeys, requestTimeout, signal)
+          const destination = await openTarget(destinationURL, url, archive, openedKeys, requestTimeout, signal)
+
+          checkWritable(destination.archive)
+          if (isMove) checkWritable(source.archive)
+          if (isWithinCopy(source, destination)) {
+            return respondWithProblem(responseHeaders, 'INVALID_COPY', `Can not copy ${source.path} into itself`)
+          }
+          if (!await filePreconditionsHold(destination.archive, destination.path, headers)) {
+            return respondWithProblem(responseHeaders, 'PRECONDITION_FAILED')
+          }
+
+          const paths = await copyPath(source.archive, source.path, destination.archive, destination.path, signal)
+          if (isMove) await removePath(source.archive, source.path, true)
+
+          return respondWithManifest(destination.archive, paths, headers, responseHeaders)
+        } finally {
+          for (const openedKey of openedKeys) drivePool.release(openedKey)
+        }
       } else if (method === 'DELETE') {
         if (headers.get('x-clear') === 'cache') {
           await archive.clear(path)
@@ -417,16 +923,16 @@ module.exports = function makeBitFetch (opts = {}) {
           }
         } else {
           checkWritable(archive)
+          unlockWrites = await writeLock(pooledKey)
+          if (!await filePreconditionsHold(archive, path, headers)) {
+            return respondWithProblem(responseHeaders, 'PRECONDITION_FAILED')
+          }
 
-          const stats = await archive.stat(path)
-          // Weird stuff happening up in here...
-          const stat = Array.isArray(stats) ? stats[0] : stats
+          const isRecursive = searchParams.has('recursive')
+          const paths = await removePath(archive, path, isRecursive)
+
+          if (isRecursive) return respondWithManifest(archive, paths, headers, responseHeaders)
 
-          if (stat.isDirectory()) {
-            await archive.rmdir(path)
-          } else {
-            await archive.unlink(path)
-          }
           responseHeaders.ETag = `"${archive.version}"`
 
           return {
@@ -436,75 +942,139 @@ module.exports = function makeBitFetch (opts = {}) {
           }
         }
       } else if ((method === 'GET') || (method === 'HEAD')) {
-        if (method === 'GET' && headers.get('Accept') === 'text/event-stream') {
+        const isEventStream = (headers.get('Accept') || '').includes('text/event-stream')
+        if (method === 'GET' && isEventStream && headers.get('x-download') === 'cache') {
           const contentFeed = await archive.getContent()
-          const events = new EventIterator(({ push, fail }) => {
-            const watcher = archive.watch(path, () => {
-              const event = 'change'
-              const data = archive.version
-              push({ event, data })
+          const files = await indexFileBlocks(archive, path)
+
+          const unpin = drivePool.pin(pooledKey)
+          const events = new EventIterator(({ push, stop }) => {
+            const cancel = downloadWithProgress(contentFeed, files, signal, push, stop)
+            return () => {
+              cancel()
+              unpin()
+            }
+          })
+
+          responseHeaders['Content-Type'] = 'text/event-stream'
+
+          return {
+            statusCode: 200,
+            headers: responseHeaders,
+            data: intoEventStream(events)
+          }
+        }
+
+        if (method === 'GET' && headers.get('Accept') === 'text/event-stream') {
+          const contentFeed = await archive.getContent()
+          const watchedEvents = getWatchedEvents(searchParams)
+          // Lets us tell which file a content block belongs to
+          // Building it means walking the tree, so that waits until there's a block to look up
+          let fileBlocks = null
+
+          const unpin = drivePool.pin(pooledKey)
+          const events = new EventIterator(({ push, stop, fail }) => {
+            const cleanups = [stopOnAbort(signal, stop), unpin]
+
+            let lastVersion = archive.version
+            // Diffs are async, chain them so events come out in order
+            let pending = Promise.resolve()
+            const watcher = archive.watch(path, () => {
+              const fromVersion = lastVersion
+              const toVersion = archive.version
+              lastVersion = toVersion
+              pending = pending.then(async () => {
+                if (!fileBlocks && !watchedEvents.has('change')) return
+                const changes = await getChanges(archive, path, fromVersion, toVersion)
+                // The watcher also fires for unrelated entries sharing the prefix
+                if (!changes.length) return
+                if (fileBlocks) fileBlocks = await updateFileBlocks(archive, fileBlocks, changes)
+                if (!watchedEvents.has('change')) return
+                const event = 'change'
+                const data = { version: toVersion, changes }
+                push({ event, data })
+              }).catch(fail)
             })
             watcher.on('error', fail)
-            function onDownloadMetadata (index) {
-              const event = 'download'
-              const source = archive.metadata.key.toString('hex')
-              const data = { index, source }
-              push({ event, data })
-            }
-            function onUploadMetadata (index) {
-              const event = 'download'
-              const source = archive.metadata.key.toString('hex')
-              const data = { index, source }
-              push({ event, data })
-            }
-
-            function onDownloadContent (index) {
-              const event = 'download'
-              const source = contentFeed.key.toString('hex')
-              const data = { index, source }
-              push({ event, data })
-            }
-            function onUploadContent (index) {
-              const event = 'download'
-              const source = contentFeed.key.toString('hex')
-              const data = { index, source }
-              push({ event, data })
-            }
-
-            // TODO: Filter out indexes that don't belong to files?
-
-            archive.metadata.on('download', onDownloadMetadata)
-            archive.metadata.on('upload', onUploadMetadata)
-            contentFeed.on('download', onDownloadContent)
-            contentFeed.on('upload', onUploadMetadata)
+            cleanups.push(() => watcher.destroy())
+
+            function onBlock (event, feed, isContent) {
+              const source = feed.key.toString('hex')
+              return (index, block) => {
+                const bytes = block ? block.length : 0
+                if (!isContent) {
+                  // Metadata blocks describe the whole drive rather than a file
+                  if (path === '/') push({ event, data: { index, source, path: null, bytes } })
+                  return
+                }
+                pending = pending.then(async () => {
+                  if (!fileBlocks) fileBlocks = await indexFileBlocks(archive, path)
+                  const file = fileBlocks.find(({ start, end }) => (index >= start) && (index < end))
+                  // Skip blocks for files outside of the watched path
+                  if (!file) return
+                  push({ event, data: { index, source, path: file.path, bytes } })
+                }).catch(fail)
+              }
+            }
+
+            for (const event of ['download', 'upload']) {
+              if (!watchedEvents.has(event)) continue
+              for (const [feed, isContent] of [[archive.metadata, false], [contentFeed, true]]) {
+                const listener = onBlock(event, feed, isContent)
+                feed.on(event, listener)
+                cleanups.push(() => feed.removeListener(event, listener))
+              }
+            }
+
             return () => {
-              watcher.destroy()
-              archive.metadata.removeListener('download', onDownloadMetadata)
-              archive.metadata.removeListener('upload', onUploadMetadata)
-              contentFeed.removeListener('download', onDownloadContent)
-              contentFeed.removeListener('upload', onUploadContent)
+              for (const cleanup of cleanups) cleanup()
             }
           })
-          async function * startReader () {
-            for await (const { event, data } of events) {
-              yield `event:${event}\ndata:${JSON.stringify(data)}\n\n`
-            }
-          }
 
           responseHeaders['Content-Type'] = 'text/event-stream'
 
           return {
             statusCode: 200,
             headers: responseHeaders,
-            data: startReader()
+            data: intoEventStream(events)
+          }
+        }
+
+        if (method === 'GET' && searchParams.has('history')) {
+          const entries = await getHistory(archive, path, searchParams, signal)
+          const json = JSON.stringify(entries, null, '\t')
+
+          responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+          return {
+            statusCode: 200,
+            headers: responseHeaders,
+            data: intoAsyncIterable(json)
+          }
+        }
+
+        const noFollow = searchParams.has('noFollow')
+        if (noFollow) {
+          const linkStat = await lstatOrNull(archive, path)
+          if (linkStat && isSymlink(linkStat)) {
+            responseHeaders[SYMLINK_HEADER] = linkStat.linkname
+            responseHeaders['Content-Type'] = 'text/plain; charset=utf-8'
+
+            return {
+              statusCode: method === 'HEAD' ? 204 : 200,
+              headers: responseHeaders,
+              data: intoAsyncIterable(method === 'HEAD' ? '' : linkStat.linkname)
+            }
           }
         }
 
         let stat = null
-        let finalPath = path
+        let finalPath = noFollow ? path : await resolveSymlinks(archive, path)
+        // Exporting a folder shouldn't resolve to its index.html
+        const tarFormat = getTarFormat(headers, searchParams)
 
         if (headers.get('x-download') === 'cache') {
-          await archive.download(path)
+          await untilAborted(archive.download(path), signal)
         }
 
         // Legacy DNS spec from Bit protocol: https://github.com/datprotocol/DEPs/blob/master/proposals/0005-dns.md
@@ -529,39 +1099,74 @@ module.exports = function makeBitFetch (opts = {}) {
           }
         }
         try {
-          if (searchParams.has('noResolve')) {
-            const stats = await archive.stat(path)
+          if (searchParams.has('noResolve') || tarFormat) {
+            const stats = await archive.stat(finalPath)
             stat = stats[0]
           } else {
-            const resolved = await resolveBitPath(archive, path)
+            const resolved = await resolveBitPath(archive, finalPath)
             finalPath = resolved.path
             stat = resolved.stat
           }
         } catch (e) {
-          responseHeaders['Content-Type'] = 'text/plain; charset=utf-8'
-          return {
-            statusCode: 404,
-            headers: responseHeaders,
-            data: intoAsyncIterable(e.stack)
-          }
+          return respondWithProblem(responseHeaders, 'NOT_FOUND', e.message, e)
         }
 
         responseHeaders['Content-Type'] = getMimeType(finalPath)
         responseHeaders['Last-Modified'] = stat.mtime.toUTCString()
+        addMetadataHeaders(responseHeaders, stat.metadata)
+
+        // Directory listings change with the drive, files only when their content does
+        const lastModified = stat.isDirectory() ? null : stat.mtime
+        if (!stat.isDirectory()) responseHeaders.ETag = getFileETag(stat)
+
+        if (isNotModified(headers, responseHeaders.ETag, lastModified)) {
+          return {
+            statusCode: 304,
+            headers: responseHeaders,
+            data: intoAsyncIterable('')
+          }
+        }
 
         let data = null
         const isRanged = headers.get('Range') || headers.get('range')
         let statusCode = 200
 
-        if (stat.isDirectory()) {
+        if (stat.isDirectory() && tarFormat) {
+          const name = path.split('/').filter((segment) => segment).pop() || archive.key.toString('hex')
+          const isGzip = tarFormat === 'tar.gz'
+          responseHeaders['Content-Type'] = isGzip ? 'application/gzip' : 'application/x-tar'
+          responseHeaders['Content-Disposition'] = `attachment; filename="${name}.${tarFormat}"`
+
+          if (method !== 'HEAD') {
+            data = pinWhileReading(pooledKey, destroyOnAbort(exportTar(archive, finalPath, isGzip), signal))
+          }
+        } else if (stat.isDirectory()) {
           responseHeaders['x-is-directory'] = 'true'
-          const stats = await archive.readdir(finalPath, { includeStats: true })
-          const files = stats.map(({ stat, name }) => (stat.isDirectory() ? `${name}/` : name))
+          if (stat.mount) responseHeaders['x-mount'] = formatMount(stat.mount).url
+          const withStats = searchParams.has('stats')
+          const depth = getListingDepth(searchParams)
+          const entries = await listDirectory(archive, finalPath, depth)
 
           // Add special directory
-          if (finalPath === '/') files.unshift('$/')
+          if (finalPath === '/') entries.push({ name: '$/', path: SPECIAL_FOLDER, stat: null })
+
+          // Sorting keeps pagination cursors stable between requests
+          entries.sort((a, b) => compareNames(a.name, b.name))
+
+          const { page, cursor } = paginateFiles(entries, searchParams)
+          if (cursor) {
+            const nextURL = new URL(url)
+            nextURL.searchParams.set('cursor', cursor)
+            responseHeaders.Link += `, <${nextURL.href}>; rel="next"`
+          }
 
-          data = renderFiles(headers, responseHeaders, url, path, files)
+          // Looking up stats is the slow part, so only do it for the entries being returned
+          const files = []
+          for (const entry of page) {
+            files.push(withStats ? await describeEntry(archive, entry) : describeListedEntry(entry))
+          }
+
+          data = await renderFiles(headers, responseHeaders, url, path, files)
         } else {
           responseHeaders['Accept-Ranges'] = 'bytes'
 
@@ -576,27 +1181,55 @@ module.exports = function makeBitFetch (opts = {}) {
           const { size } = stat
           responseHeaders['Content-Length'] = `${size}`
 
+          const digest = getStoredDigest(stat) || (wantsDigest(headers) ? await hashFile(archive, finalPath, signal) : null)
+          if (digest) responseHeaders.Digest = `${DIGEST_ALGORITHM}=${digest}`
+
           if (isRanged) {
-            const ranges = parseRange(size, isRanged)
-            if (ranges && ranges.length && ranges.type === 'bytes') {
+            const ranges = parseRange(size, isRanged, { combine: true })
+            if (ranges === -1) {
+              // None of the requested ranges overlap the file
+              responseHeaders['Content-Range'] = `bytes */${size}`
+              delete responseHeaders['Content-Length']
+              return respondWithProblem(responseHeaders, 'RANGE_NOT_SATISFIABLE')
+            } else if (ranges && ranges.length === 1 && ranges.type === 'bytes') {
               statusCode = 206
               const [{ start, end }] = ranges
               const length = (end - start + 1)
               responseHeaders['Content-Length'] = `${length}`
               responseHeaders['Content-Range'] = `bytes ${start}-${end}/${size}`
               if (method !== 'HEAD') {
-                data = archive.createReadStream(finalPath, {
+                data = pinWhileReading(pooledKey, destroyOnAbort(archive.createReadStream(finalPath, {
                   start,
                   end
-                })
+                }), signal))
+              }
+            } else if (ranges && ranges.length > 1 && ranges.type === 'bytes') {
+              statusCode = 206
+              const contentType = responseHeaders['Content-Type']
+              const boundary = crypto.randomBytes(16).toString('hex')
+              const parts = ranges.map(({ start, end }) => {
+                const header = renderRangePartHeader(boundary, contentType, start, end, size)
+                return { start, end, header }
+              })
+              const footer = `--${boundary}--\r\n`
+              const length = parts.reduce((total, { start, end, header }) => {
+                // Every part is followed by a CRLF before the next delimiter
+                return total + Buffer.byteLength(header) + (end - start + 1) + 2
+              }, Buffer.byteLength(footer))
+
+              responseHeaders['Content-Type'] = `multipart/byteranges; boundary=${boundary}`
+              responseHeaders['Content-Length'] = `${length}`
+              if (method !== 'HEAD') {
+                data = pinWhileReading(pooledKey, streamRangeParts(archive, finalPath, parts, footer, signal))
               }
             } else {
+              // Malformed range headers get ignored as per RFC 7233
               if (method !== 'HEAD') {
-                data = archive.createReadStream(finalPath)
+                data = pinWhileReading(pooledKey, destroyOnAbort(archive.createReadStream(finalPath), signal))
               }
             }
           } else if (method !== 'HEAD') {
-            data = archive.createReadStream(finalPath)
+            data = pinWhileReading(pooledKey, destroyOnAbort(archive.createReadStream(finalPath), signal))
           }
         }
 
@@ -614,23 +1247,35 @@ module.exports = function makeBitFetch (opts = {}) {
           }
         }
       } else {
-        return {
-          statusCode: 405,
-          headers: responseHeaders,
-          data: intoAsyncIterable('Method Not Allowed')
-        }
+        return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
       }
     } catch (e) {
-      const isUnauthorized = (e.message === NOT_WRITABLE_ERROR)
-      const statusCode = isUnauthorized ? 403 : 500
-      const statusText = isUnauthorized ? 'Not Authorized' : 'Server Error'
-      return {
-        statusCode,
-        statusText,
-        headers: responseHeaders,
-        data: intoAsyncIterable(e.stack)
-      }
+      return respondWithProblem(responseHeaders, getErrorCode(e), e.message, e)
+    } finally {
+      if (unlockWrites) unlockWrites()
+      if (pooledKey) drivePool.release(pooledKey)
+    }
+  }
+
+  function pinWhileReading (key, body) {
+    // The request releases the drive when it returns, but the body still reads from it after that
+    const unpin = drivePool.pin(key)
+
+    if (typeof body.on === 'function') {
+      // Not every stream emits 'close', so release on whichever comes first
+      body.once('end', unpin)
+      body.once('error', unpin)
+      body.once('close', unpin)
+      return body
     }
+
+    return (async function * () {
+      try {
+        yield * body
+      } finally {
+        unpin()
+      }
+    })()
   }
 
   function getBitdrive () {
@@ -646,6 +1291,7 @@ module.exports = function makeBitFetch (opts = {}) {
       gettingSDK = null
       onClose = async () => sdk.close()
       Bitdrive = sdk.Bitdrive
+      if (!swarm && sdk._swarm) swarm = makeNetworkerSwarm(sdk._swarm)
 
       return sdk
     })
@@ -653,59 +1299,1797 @@ module.exports = function makeBitFetch (opts = {}) {
     return gettingSDK
   }
 
+  async function filePreconditionsHold (archive, path, headers) {
+    if (!headers.get('If-Match') && !headers.get('If-None-Match')) return true
+
+    const stat = await statOrNull(archive, path)
+    // Writers can either guard on the whole drive or on the file itself
+    const etags = [`"${archive.version}"`]
+    if (stat && !stat.isDirectory()) etags.push(getFileETag(stat))
+
+    return meetsPreconditions(headers, Boolean(stat), etags)
+  }
+
+  async function tagPreconditionsHold (archive, tagName, headers) {
+    if (!headers.get('If-Match') && !headers.get('If-None-Match')) return true
+
+    // Tags are validated by the version they point at, not the drive's version
+    const etags = []
+    let exists = false
+    try {
+      const tagVersion = await archive.getTaggedVersion(tagName)
+      etags.push(`"${tagVersion}"`)
+      exists = true
+    } catch {
+      // Tag doesn't exist yet
+    }
+
+    return meetsPreconditions(headers, exists, etags)
+  }
+
+  async function handleLocalRequest ({ path, method, searchParams, headers, responseHeaders }) {
+    if (path === SPECIAL_FOLDER) {
+      if (method !== 'GET') return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
+      const data = await renderFiles(headers, responseHeaders, `bit://${LOCAL_HOST}${path}`, path, [DRIVES_FOLDER_NAME])
+
+      return {
+        statusCode: 200,
+        headers: responseHeaders,
+        data
+      }
+    }
+
+    if (path !== DRIVES_FOLDER) return respondWithProblem(responseHeaders, 'NOT_FOUND')
+
+    if (method === 'GET') {
+      let drives = [...knownDrives.values()]
+      if (searchParams.has('writable')) drives = drives.filter(({ writable }) => writable)
+      const json = JSON.stringify(drives, null, '\t')
+
+      responseHeaders['x-is-directory'] = 'true'
+      responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+
+      return {
+        statusCode: 200,
+        headers: responseHeaders,
+        data: intoAsyncIterable(json)
+      }
+    } else if (method === 'POST') {
+      if (!writable) throw makeError('NOT_WRITABLE', NOT_WRITABLE_ERROR)
+
+      // Bitdrive derives the keys for a writable drive from its name
+      const name = searchParams.get('name') || crypto.randomBytes(16).toString('hex')
+      // Keys would load somebody else's drive, which might not even be writable
+      if (HEX_KEY_REGEX.test(name)) {
+        return respondWithProblem(responseHeaders, 'INVALID_DRIVE_NAME', 'Drive names can not be 64 character hex keys')
+      }
+
+      const archive = await drivePool.acquire(name)
+      const key = archive.key.toString('hex')
+
+      try {
+        await archive.ready()
+        // New drives only have the header block that gets written when they're first opened
+        const existed = knownDrives.has(key) || (archive.version > 1)
+        const drive = rememberDrive(name, archive)
+        const json = JSON.stringify(drive, null, '\t')
+
+        responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+        responseHeaders.Location = drive.url
+
+        return {
+          statusCode: existed ? 200 : 201,
+          headers: responseHeaders,
+          data: intoAsyncIterable(json)
+        }
+      } finally {
+        drivePool.release(key)
+      }
+    } else {
+      return respondWithProblem(responseHeaders, 'METHOD_NOT_ALLOWED')
+    }
+  }
+
+  async function parseMountTarget (target) {
+    if (!target.startsWith('bit://')) {
+      throw makeError('INVALID_MOUNT', `Mount target must be a bit:// URL: ${target}`)
+    }
+
+    const { key, version } = parseBitURL(target)
+    if (version && !NUMBER_REGEX.test(version)) {
+      throw makeError('INVALID_MOUNT', `Mount versions must be numbers: ${version}`)
+    }
+
+    let resolvedKey = key
+    if (!HEX_KEY_REGEX.test(key)) {
+      try {
+        resolvedKey = await dnsCache.resolve(key)
+      } catch (e) {
+        throw makeError('INVALID_MOUNT', `Unable to resolve drive: ${key}`)
+      }
+    }
+
+    return { key: resolvedKey, version: version ? parseInt(version, 10) : null }
+  }
+
+  // Opens the drive for the source or destination of a copy, relative to the request URL
+  async function openTarget (target, requestURL, archive, openedKeys, timeout, signal) {
+    const targetURL = new URL(target, requestURL)
+    if (targetURL.protocol !== 'bit:') {
+      throw makeError('INVALID_COPY', `Can only copy between bit:// URLs: ${target}`)
+    }
+
+    const { pathname, key, version } = parseBitURL(targetURL.href)
+    const path = pathname || '/'
+
+    if (targetURL.hostname === new URL(requestURL).hostname) return { archive, path }
+
+    let resolvedKey = key
+    try {
+      resolvedKey = await dnsCache.resolve(key)
+    } catch (e) {
+      // Probably a domain that couldn't resolve
+      if (key.includes('.')) throw e
+    }
+
+    let targetArchive = await drivePool.acquire(resolvedKey)
+
+    if (!targetArchive) throw makeError('DRIVE_NOT_FOUND', `Unable to load drive: ${key}`)
+
+    openedKeys.push(targetArchive.key.toString('hex'))
+
+    await targetArchive.ready()
+    rememberDrive(resolvedKey, targetArchive)
+    await waitForUpdate(targetArchive, timeout, signal)
+
+    if (version) {
+      targetArchive = await targetArchive.checkout(await resolveVersion(targetArchive, version))
+      await targetArchive.ready()
+    }
+
+    return { archive: targetArchive, path }
+  }
+
+  function rememberDrive (name, archive) {
+    const key = archive.key.toString('hex')
+    const existing = knownDrives.get(key)
+    // Loading a drive by its key shouldn't forget the name it was created with
+    const isKey = HEX_KEY_REGEX.test(name)
+    const drive = {
+      key,
+      url: `bit://${key}/`,
+      name: isKey ? (existing ? existing.name : null) : name,
+      writable: Boolean(archive.writable)
+    }
+
+    knownDrives.set(key, drive)
+
+    return drive
+  }
+
+  async function respondWithManifest (archive, paths, headers, responseHeaders) {
+    // Tagging writes to the drive too, so grab the version of the import first
+    const { version } = archive
+    const tag = headers.get('x-tag')
+    if (tag) await archive.createTag(tag, version)
+
+    const manifest = tag ? { paths, version, tag } : { paths, version }
+    const json = JSON.stringify(manifest, null, '\t')
+
+    responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+    responseHeaders.ETag = `"${archive.version}"`
+
+    return {
+      statusCode: 200,
+      headers: responseHeaders,
+      data: intoAsyncIterable(json)
+    }
+  }
+
+  async function renderFiles (headers, responseHeaders, url, path, files) {
+    if (headers.get('Accept') && headers.get('Accept').includes('text/html')) {
+      const page = await renderDirectory(url, path, files)
+      responseHeaders['Content-Type'] = 'text/html; charset=utf-8'
+      return intoAsyncIterable(page)
+    } else {
+      const json = JSON.stringify(files, null, '\t')
+      responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
+      return intoAsyncIterable(json)
+    }
+  }
+
+  function respondWithProblem (responseHeaders, code, detail, error) {
+    const { statusCode, title } = PROBLEMS[code]
+    const problem = { title, status: statusCode, code, detail: detail || title }
+    // Stack traces leak internals so they're opt-in
+    if (debug && error) problem.stack = error.stack
+    const json = JSON.stringify(problem, null, '\t')
+
+    responseHeaders['Content-Type'] = 'application/problem+json; charset=utf-8'
+
+    return {
+      statusCode,
+      statusText: title,
+      headers: responseHeaders,
+      data: intoAsyncIterable(json)
+    }
+  }
+
   function checkWritable (archive) {
-    if (!writable) throw new Error(NOT_WRITABLE_ERROR)
+    if (!writable) throw makeError('NOT_WRITABLE', NOT_WRITABLE_ERROR)
     if (!archive.writable) {
-      throw new Error(NOT_WRITABLE_ERROR)
+      throw makeError('NOT_WRITABLE', NOT_WRITABLE_ERROR)
     }
   }
 }
 
-function parseBitURL (url) {
-  const parsed = new URL(url)
-  let key = parsed.hostname
-  let version = null
-  if (key.includes('+')) [key, version] = key.split('+')
+function getRequestTimeout (headers, searchParams, defaultTimeout) {
+  const requested = headers.get('x-timeout') || searchParams.get('timeout')
+  const requestTimeout = parseInt(requested, 10)
+  return Number.isNaN(requestTimeout) ? defaultTimeout : requestTimeout
+}
 
-  parsed.key = key
-  parsed.version = version
+function makeError (code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
 
-  return parsed
+function getErrorCode (e) {
+  if (PROBLEMS[e.code]) return e.code
+  if (FS_ERROR_CODES[e.code]) return FS_ERROR_CODES[e.code]
+  return 'SERVER_ERROR'
 }
 
-async function * intoAsyncIterable (data) {
-  yield Buffer.from(data)
+function makeAbortError () {
+  const error = makeError('REQUEST_ABORTED', 'Request aborted')
+  error.name = 'AbortError'
+  return error
 }
 
-function getMimeType (path) {
-  let mimeType = mime.getType(path) || 'text/plain; charset=utf-8'
-  if (mimeType.startsWith('text/')) mimeType = `${mimeType}; charset=utf-8`
-  return mimeType
+function throwIfAborted (signal) {
+  if (signal && signal.aborted) throw makeAbortError()
 }
 
-function renderDirectory (url, path, files) {
-  return `<!DOCTYPE html>
-<title>${url}</title>
-<meta name="viewport" content="width=device-width, initial-scale=1" />
-<h1>Index of ${path}</h1>
-<ul>
-  <li><a href="../">../</a></li>${files.map((file) => `
-  <li><a href="${file}">./${file}</a></li>
-`).join('')}
-</ul>
-`
+async function waitForUpdate (archive, timeout, signal) {
+  // Drives we don't have any data for yet need to be loaded from peers
+  if (archive.version) return
+
+  if (!archive.peers.length) {
+    await waitForPeer(archive, timeout, signal)
+  }
+  await untilAborted(new Promise((resolve, reject) => {
+    archive.metadata.update({ ifAvailable: true }, (err) => {
+      if (err) reject(err)
+      else resolve()
+    })
+  }), signal)
 }
 
-function renderFiles (headers, responseHeaders, url, path, files) {
-  if (headers.get('Accept') && headers.get('Accept').includes('text/html')) {
-    const page = renderDirectory(url, path, files)
-    responseHeaders['Content-Type'] = 'text/html; charset=utf-8'
-    return intoAsyncIterable(page)
-  } else {
-    const json = JSON.stringify(files, null, '\t')
-    responseHeaders['Content-Type'] = 'application/json; charset=utf-8'
-    return intoAsyncIterable(json)
+function waitForPeer (archive, timeout, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal)
+
+    const timer = setTimeout(() => finish(makeError('PEER_TIMEOUT', PEER_TIMEOUT_ERROR)), timeout)
+
+    function onPeerOpen () {
+      finish(null)
+    }
+
+    function onAbort () {
+      finish(makeAbortError())
+    }
+
+    function finish (err) {
+      clearTimeout(timer)
+      archive.removeListener(PEER_OPEN, onPeerOpen)
+      if (signal) signal.removeEventListener('abort', onAbort)
+      if (err) reject(err)
+      else resolve()
+    }
+
+    archive.once(PEER_OPEN, onPeerOpen)
+    if (signal) signal.addEventListener('abort', onAbort)
+  })
+}
+
+function untilAborted (promise, signal) {
+  if (!signal) return promise
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal)
+
+    function onAbort () {
+      reject(makeAbortError())
+    }
+
+    signal.addEventListener('abort', onAbort)
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+  })
+}
+
+function destroyOnAbort (stream, signal) {
+  if (!signal) return stream
+
+  function onAbort () {
+    stream.destroy(makeAbortError())
+  }
+
+  if (signal.aborted) {
+    onAbort()
+    return stream
+  }
+
+  signal.addEventListener('abort', onAbort)
+  stream.once('close', () => signal.removeEventListener('abort', onAbort))
+
+  return stream
+}
+
+function stopOnAbort (signal, stop) {
+  if (!signal) return () => undefined
+
+  function onAbort () {
+    stop()
+  }
+
+  signal.addEventListener('abort', onAbort)
+
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
+function makeWriteLock () {
+  // Each drive's writes wait for the ones before them to finish
+  const queues = new Map()
+
+  return async function lock (key) {
+    const previous = queues.get(key) || Promise.resolve()
+    let unlock = null
+    const current = new Promise((resolve) => { unlock = resolve })
+    const queued = previous.then(() => current)
+    queues.set(key, queued)
+
+    await previous
+
+    return () => {
+      if (queues.get(key) === queued) queues.delete(key)
+      unlock()
+    }
+  }
+}
+
+function makeDrivePool ({ load, maxDrives, idleTimeout, closeDrives }) {
+  // Entries are keyed by the hex key so a drive loaded by name and by key is only pooled once
+  // Maps keep insertion order, so the least recently used drive is always first
+  const drives = new Map()
+  // The key for a name is only known once its drive has loaded
+  const names = new Map()
+  const loading = new Map()
+
+  return {
+    acquire,
+    release,
+    pin,
+    list,
+    closeAll
+  }
+
+  async function acquire (name) {
+    const isKey = HEX_KEY_REGEX.test(name)
+    const knownKey = isKey ? name.toLowerCase() : names.get(name)
+    let entry = knownKey && drives.get(knownKey)
+
+    if (!entry) {
+      const archive = await loadDrive(name, isKey)
+      if (!archive) return null
+
+      const key = knownKey || archive.key.toString('hex')
+      names.set(name, key)
+      entry = drives.get(key) || { key, name, archive, pins: 0, lastUsed: 0, timer: null }
+    }
+
+    drives.delete(entry.key)
+    drives.set(entry.key, entry)
+
+    entry.pins++
+    entry.lastUsed = Date.now()
+    clearTimeout(entry.timer)
+
+    await evictOverflow()
+
+    return entry.archive
+  }
+
+  async function loadDrive (name, isKey) {
+    // Concurrent requests for the same drive should share the load
+    if (loading.has(name)) return loading.get(name)
+
+    const loaded = Promise.resolve(load(name)).then(async (archive) => {
+      // Drives loaded by name only know their key once they're ready
+      if (archive && !isKey) await archive.ready()
+      return archive
+    })
+    loading.set(name, loaded)
+
+    try {
+      return await loaded
+    } finally {
+      loading.delete(name)
+    }
+  }
+
+  function release (key) {
+    const entry = drives.get(key)
+    if (!entry) return
+
+    entry.pins--
+    entry.lastUsed = Date.now()
+
+    if (entry.pins || !idleTimeout) return
+
+    entry.timer = setTimeout(() => closeEntry(entry), idleTimeout)
+    // Idle drives shouldn't keep the process running
+    if (entry.timer.unref) entry.timer.unref()
+  }
+
+  function pin (key) {
+    const entry = drives.get(key)
+    if (!entry) return () => undefined
+
+    entry.pins++
+    clearTimeout(entry.timer)
+
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      release(key)
+    }
   }
+
+  function list () {
+    return [...drives.values()].map(({ name, key, pins, lastUsed }) => {
+      return { name, key, pins, lastUsed: new Date(lastUsed) }
+    })
+  }
+
+  async function evictOverflow () {
+    const toClose = []
+    for (const entry of drives.values()) {
+      if ((drives.size - toClose.length) <= maxDrives) break
+      // Drives that are in use can't be evicted, so we might go over the limit for a bit
+      if (!entry.pins) toClose.push(entry)
+    }
+
+    await Promise.all(toClose.map(closeEntry))
+  }
+
+  async function closeEntry (entry) {
+    clearTimeout(entry.timer)
+    if (drives.get(entry.key) !== entry) return
+    drives.delete(entry.key)
+    for (const [name, key] of names) {
+      if (key === entry.key) names.delete(name)
+    }
+    // Drives passed in by the application are theirs to close
+    if (closeDrives && entry.archive.close) await entry.archive.close()
+  }
+
+  async function closeAll () {
+    await Promise.all([...drives.values()].map(closeEntry))
+  }
+}
+
+function getRecordTTL (resolved, record, fallback) {
+  // Custom resolvers can pass along the `ttl=` from `/.well-known/bit` records directly
+  if (typeof resolved.ttl === 'number') return resolved.ttl
+  if (record && (typeof record.expires === 'number')) {
+    return Math.max(0, (record.expires - Date.now()) / 1000)
+  }
+  return fallback
+}
+
+function makeDNSCache ({ resolveURL, ttl, negativeTTL, persistPath }) {
+  const entries = new Map()
+  const resolving = new Map()
+  let loading = null
+
+  return {
+    resolve,
+    get,
+    entries: listEntries,
+    delete: deleteEntry,
+    clear
+  }
+
+  async function resolve (name) {
+    await ensureLoaded()
+
+    const existing = get(name)
+    if (existing) {
+      if (existing.error) throw new Error(existing.error)
+      return existing.key
+    }
+
+    // Share lookups between concurrent requests for the same name
+    if (!resolving.has(name)) {
+      const lookup = lookupAndCache(name).finally(() => resolving.delete(name))
+      resolving.set(name, lookup)
+    }
+
+    return resolving.get(name)
+  }
+
+  async function lookupAndCache (name) {
+    // `@web4/dns` returns a plain URL, the record's expiry only gets handed to its cache
+    let record = null
+    const recorder = {
+      get: async () => undefined,
+      set: async (protocol, hostname, entry) => {
+        record = entry
+      }
+    }
+
+    let resolved = null
+    try {
+      resolved = await resolveURL(`bit://${name}`, { ttl, cache: recorder })
+    } catch (e) {
+      entries.set(name, { error: e.message, expires: Date.now() + negativeTTL * 1000 })
+      throw e
+    }
+
+    const seconds = getRecordTTL(resolved, record, ttl)
+    const key = resolved.hostname
+    entries.set(name, { key, expires: Date.now() + seconds * 1000 })
+
+    await save()
+
+    return key
+  }
+
+  function get (name) {
+    const entry = entries.get(name)
+    if (!entry) return null
+    if (entry.expires <= Date.now()) {
+      entries.delete(name)
+      return null
+    }
+    return { ...entry }
+  }
+
+  function listEntries () {
+    const now = Date.now()
+    return [...entries]
+      .filter(([, { expires }]) => expires > now)
+      .map(([name, entry]) => [name, { ...entry }])
+  }
+
+  async function deleteEntry (name) {
+    await ensureLoaded()
+    entries.delete(name)
+    await save()
+  }
+
+  async function clear () {
+    await ensureLoaded()
+    entries.clear()
+    await save()
+  }
+
+  function ensureLoaded () {
+    if (!loading) loading = load()
+    return loading
+  }
+
+  async function load () {
+    if (!persistPath) return
+    try {
+      const saved = JSON.parse(await fs.readFile(persistPath, 'utf8'))
+      for (const [name, entry] of Object.entries(saved)) {
+        entries.set(name, entry)
+      }
+    } catch {
+      // Nothing has been saved yet
+    }
+  }
+
+  async function save () {
+    if (!persistPath) return
+    // Failed lookups might work after a restart so only keep the successful ones
+    const saved = Object.fromEntries(listEntries().filter(([, { error }]) => !error))
+    try {
+      await fs.writeFile(persistPath, JSON.stringify(saved, null, '\t'))
+    } catch {
+      // Persisting is best-effort, the in-memory cache still works
+    }
+  }
+}
+
+function parseBitURL (url) {
+  const parsed = new URL(url)
+  let key = parsed.hostname
+  let version = null
+  if (key.includes('+')) [key, version] = key.split('+')
+
+  parsed.key = key
+  parsed.version = version
+
+  return parsed
+}
+
+async function * intoAsyncIterable (data) {
+  yield Buffer.from(data)
+}
+
+async function resolveVersion (archive, version) {
+  if (NUMBER_REGEX.test(version)) return parseInt(version, 10)
+
+  let tagVersion = null
+  try {
+    tagVersion = await archive.getTaggedVersion(version)
+  } catch {
+    // Handled below along with missing tags
+  }
+  if (tagVersion === null || tagVersion === undefined) {
+    throw makeError('VERSION_NOT_FOUND', `Unknown version or tag: ${version}`)
+  }
+
+  return tagVersion
+}
+
+function formatStat (stat) {
+  const formatted = {
+    type: isSymlink(stat) ? 'symlink' : stat.isDirectory() ? 'directory' : 'file',
+    size: stat.size,
+    blocks: stat.blocks,
+    mtime: stat.mtime,
+    ctime: stat.ctime
+  }
+
+  if (stat.mount) formatted.mount = formatMount(stat.mount)
+  if (isSymlink(stat)) formatted.target = stat.linkname
+
+  return formatted
+}
+
+function makeNetworkerSwarm (networker) {
+  // The SDK's networker gets configured per discovery key instead of joining and leaving
+  return {
+    join: (discoveryKey, { announce, lookup }) => networker.configure(discoveryKey, { announce, lookup }),
+    leave: (discoveryKey) => networker.configure(discoveryKey, { announce: false, lookup: false })
+  }
+}
+
+function formatMount ({ key, version }) {
+  const hex = Buffer.isBuffer(key) ? key.toString('hex') : key
+  // Mounts without a version follow the latest changes of the mounted drive
+  const pinned = version ? `+${version}` : ''
+  return {
+    key: hex,
+    version: version || null,
+    url: `bit://${hex}${pinned}/`
+  }
+}
+
+function getMountPath (path) {
+  // Paths stay percent-encoded like everywhere else so the mount can be reached by the same URL
+  const mountPath = '/' + path.slice(MOUNTS_FOLDER.length)
+  if (mountPath.length > 1 && mountPath.endsWith('/')) return mountPath.slice(0, -1)
+  return mountPath
+}
+
+async function listMounts (archive) {
+  const mounts = await archive.getAllMounts({ memory: false, recursive: false })
+  const entries = []
+
+  for (const mountPath of mounts.keys()) {
+    const path = mountPath.startsWith('/') ? mountPath : `/${mountPath}`
+    // The drive itself is always listed as being mounted at the root
+    if (path === '/') continue
+    const stat = await statOrNull(archive, path)
+    if (!stat || !stat.mount) continue
+    entries.push({ path, ...formatMount(stat.mount) })
+  }
+
+  return entries.sort((a, b) => compareNames(a.path, b.path))
+}
+
+function formatDiffEntry ({ type, name, value }) {
+  const isStat = value && (typeof value.isDirectory === 'function')
+  return {
+    type,
+    name: name.startsWith('/') ? name : `/${name}`,
+    stat: isStat ? formatStat(value) : null
+  }
+}
+
+async function getHistory (archive, prefix, searchParams, signal) {
+  const limit = parseInt(searchParams.get('limit'), 10) || DEFAULT_HISTORY_LIMIT
+  const before = searchParams.has('before') ? await resolveVersion(archive, searchParams.get('before')) : null
+  const after = searchParams.has('after') ? await resolveVersion(archive, searchParams.get('after')) : null
+
+  const newest = before !== null ? Math.min(before - 1, archive.version) : archive.version
+  const oldest = after !== null ? Math.max(after + 1, 1) : 1
+
+  // The change for a version is the trie node before it, and the first block is the header
+  const gte = Math.max(oldest - 1, 1)
+  const lte = newest - 1
+  if (lte < gte) return []
+
+  // Paging forward with `after` starts from the oldest version instead
+  const isForward = (after !== null && before === null)
+  const { trie } = archive.db
+  // This is the iterator behind the trie's `createHistoryStream()`, and it can be stopped early
+  const history = trie.history({ reverse: !isForward, gte, lte })
+
+  const changes = []
+  // Only read as much of the log as it takes to fill the page
+  for await (const node of history) {
+    throwIfAborted(signal)
+    if (node.hidden) continue
+
+    const found = await readHistoryNode(archive, trie, node, prefix)
+    changes.push(...(isForward ? found : found.reverse()))
+    if (changes.length >= limit) break
+  }
+
+  const page = changes.slice(0, limit)
+  const key = archive.key.toString('hex')
+  const entries = []
+
+  for (const { version, type, name } of page) {
+    throwIfAborted(signal)
+
+    // Only entries we're going to return need a checkout for their stat
+    let stat = null
+    if (type === 'put') {
+      const checkout = await archive.checkout(version)
+      await checkout.ready()
+      const found = await lstatOrNull(checkout, name)
+      stat = found ? formatStat(found) : null
+    }
+
+    // Deleted entries can only be viewed in the version before they got deleted
+    const viewVersion = type === 'del' ? version - 1 : version
+    const timestamp = (type === 'put' && stat) ? stat.mtime : null
+    const url = `bit://${key}+${viewVersion}${name}`
+
+    entries.push({ version, type, name, stat, timestamp, url })
+  }
+
+  // Newest first, no matter which way the log was read
+  return isForward ? entries.reverse() : entries
+}
+
+async function readHistoryNode (archive, trie, node, prefix) {
+  const version = node.seq + 1
+  const { key, valueBuffer } = node
+
+  // Deleting from the trie writes a copy of the closest entry, so the deleted path isn't in the node
+  const previous = key ? await getTrieNode(trie.checkout(node.seq), key) : null
+  const isDelete = !key || !valueBuffer || Boolean(previous && previous.valueBuffer && previous.valueBuffer.equals(valueBuffer))
+
+  if (!isDelete) {
+    const name = `/${key}`
+    return isWithinPath(name, prefix) ? [{ version, type: 'put', name }] : []
+  }
+
+  // Only the part of the drive being asked about needs to be compared
+  const checkout = await archive.checkout(version)
+  await checkout.ready()
+  const deleted = []
+  for await (const { type, name } of readDiff(checkout.createDiffStream(version - 1, prefix), prefix)) {
+    if (type === 'del') deleted.push({ version, type, name })
+  }
+
+  return deleted
+}
+
+function getTrieNode (trie, key) {
+  return new Promise((resolve, reject) => {
+    trie.get(key, (err, node) => {
+      if (err) reject(err)
+      else resolve(node)
+    })
+  })
+}
+
+async function getChanges (archive, prefix, fromVersion, toVersion) {
+  const previous = await archive.checkout(fromVersion)
+  const current = await archive.checkout(toVersion)
+  await previous.ready()
+  await current.ready()
+
+  const key = archive.key.toString('hex')
+  const changes = []
+
+  for await (const entry of current.createDiffStream(fromVersion, prefix)) {
+    const { type, name, stat } = formatDiffEntry(entry)
+    if (!isWithinPath(name, prefix)) continue
+
+    let change = type
+    if (type === 'put') {
+      change = (await statOrNull(previous, name)) ? 'modified' : 'added'
+    } else if (type === 'del') {
+      change = 'deleted'
+    }
+
+    // Deleted entries can only be viewed in the version before they got deleted
+    const viewVersion = (change === 'deleted') ? fromVersion : toVersion
+    const url = `bit://${key}+${viewVersion}${name}`
+
+    changes.push({ type: change, name, stat, url })
+  }
+
+  return changes
+}
+
+async function * intoEventStream (events) {
+  for await (const { event, data } of events) {
+    yield `event:${event}\ndata:${JSON.stringify(data)}\n\n`
+  }
+}
+
+function downloadWithProgress (feed, files, signal, push, stop) {
+  const totalBlocks = files.reduce((total, { start, end }) => total + (end - start), 0)
+  const progress = files.map((file) => ({ ...file, downloadedBlocks: feed.downloaded(file.start, file.end) }))
+  const ranges = []
+  const failures = []
+  let totalDownloadedBlocks = progress.reduce((total, { downloadedBlocks }) => total + downloadedBlocks, 0)
+  let fetchedBlocks = 0
+  let remaining = progress.length
+  let finished = false
+
+  function onDownload (index) {
+    const file = progress.find(({ start, end }) => (index >= start) && (index < end))
+    if (!file) return
+    file.downloadedBlocks++
+    totalDownloadedBlocks++
+    fetchedBlocks++
+    const { path, downloadedBlocks } = file
+    const blocks = file.end - file.start
+    push({ event: 'progress', data: { path, index, downloadedBlocks, blocks, totalDownloadedBlocks, totalBlocks } })
+  }
+
+  function onFileDone (file, err) {
+    if (finished) return
+    const { path, downloadedBlocks } = file
+    const blocks = file.end - file.start
+    const data = { path, downloadedBlocks, blocks }
+    if (err) {
+      data.error = err.message
+      failures.push({ path, error: err.message })
+    }
+    push({ event: 'file', data })
+    remaining--
+    if (!remaining) finish()
+  }
+
+  function finish () {
+    cleanup()
+    push({ event: 'done', data: { fetchedBlocks, totalDownloadedBlocks, totalBlocks, failures } })
+    stop()
+  }
+
+  function cleanup () {
+    finished = true
+    feed.removeListener('download', onDownload)
+    if (signal) signal.removeEventListener('abort', onAbort)
+  }
+
+  function cancel () {
+    if (finished) return
+    cleanup()
+    for (const range of ranges) feed.undownload(range)
+  }
+
+  function onAbort () {
+    cancel()
+    stop()
+  }
+
+  if (signal && signal.aborted) {
+    onAbort()
+    return cancel
+  }
+
+  feed.on('download', onDownload)
+  if (signal) signal.addEventListener('abort', onAbort)
+
+  for (const file of progress) {
+    ranges.push(feed.download({ start: file.start, end: file.end }, (err) => onFileDone(file, err)))
+  }
+
+  if (!progress.length) finish()
+
+  return cancel
+}
+
+function getWatchedEvents (searchParams) {
+  if (!searchParams.has('events')) return new Set(WATCH_EVENTS)
+  const events = searchParams.get('events').split(',').map((event) => event.trim())
+  return new Set(events.filter((event) => WATCH_EVENTS.includes(event)))
+}
+
+async function indexFileBlocks (archive, path) {
+  const stat = await statOrNull(archive, path)
+  if (!stat) return []
+  if (!stat.isDirectory()) return [{ path, start: stat.offset, end: stat.offset + stat.blocks }]
+
+  const files = []
+  const stats = await archive.readdir(path, { includeStats: true })
+  for (const { name, stat } of stats) {
+    const fullPath = joinPath(path, name)
+    if (stat.isDirectory()) {
+      files.push(...await indexFileBlocks(archive, fullPath))
+    } else {
+      files.push({ path: fullPath, start: stat.offset, end: stat.offset + stat.blocks })
+    }
+  }
+
+  return files
+}
+
+// Keeps the block index in step with the changes from a watch instead of walking the tree again
+async function updateFileBlocks (archive, fileBlocks, changes) {
+  const changed = new Set(changes.map(({ name }) => name))
+  const updated = fileBlocks.filter(({ path }) => !changed.has(path))
+
+  for (const { type, name } of changes) {
+    if (type === 'deleted') continue
+    const stat = await statOrNull(archive, name)
+    if (!stat || stat.isDirectory()) continue
+    updated.push({ path: name, start: stat.offset, end: stat.offset + stat.blocks })
+  }
+
+  return updated
+}
+
+function isWithinPath (name, path) {
+  if (path === '/' || name === path) return true
+  const folder = path.endsWith('/') ? path : `${path}/`
+  return name.startsWith(folder)
+}
+
+async function * streamDiff (diff, prefix) {
+  for await (const entry of readDiff(diff, prefix)) {
+    yield Buffer.from(JSON.stringify(entry) + '\n')
+  }
+}
+
+// Bitdrive's diff also reports the folder node the prefix points at
+async function * readDiff (diff, prefix) {
+  for await (const entry of diff) {
+    const formatted = formatDiffEntry(entry)
+    if (isWithinPath(formatted.name, prefix)) yield formatted
+  }
+}
+
+function getMimeType (path) {
+  let mimeType = mime.getType(path) || 'text/plain; charset=utf-8'
+  if (mimeType.startsWith('text/')) mimeType = `${mimeType}; charset=utf-8`
+  return mimeType
+}
+
+async function getDriveInfo (archive, writable) {
+  const contentFeed = await archive.getContent()
+  const tags = await archive.getAllTags()
+
+  const metadata = describeFeed(archive.metadata)
+  const content = describeFeed(contentFeed)
+
+  const totalBlocks = metadata.length + content.length
+  const downloadedBlocks = metadata.downloadedBlocks + content.downloadedBlocks
+  const downloadedPercent = totalBlocks ? (downloadedBlocks / totalBlocks) * 100 : 100
+
+  return {
+    key: archive.key.toString('hex'),
+    discoveryKey: archive.discoveryKey.toString('hex'),
+    version: archive.version,
+    writable,
+    metadata,
+    content,
+    downloadedPercent,
+    peers: archive.peers.length,
+    tags: [...tags].length
+  }
+}
+
+function describeFeed (feed) {
+  return {
+    key: feed.key.toString('hex'),
+    length: feed.length,
+    byteLength: feed.byteLength,
+    downloadedBlocks: feed.downloaded()
+  }
+}
+
+function renderInfo (url, info) {
+  const { metadata, content } = info
+  const rows = [
+    ['Key', info.key],
+    ['Discovery Key', info.discoveryKey],
+    ['Version', info.version],
+    ['Writable', info.writable],
+    ['Metadata Blocks', `${metadata.downloadedBlocks}/${metadata.length}`],
+    ['Metadata Size', `${metadata.byteLength} bytes`],
+    ['Content Blocks', `${content.downloadedBlocks}/${content.length}`],
+    ['Content Size', `${content.byteLength} bytes`],
+    ['Downloaded', `${info.downloadedPercent.toFixed(2)}%`],
+    ['Peers', info.peers],
+    ['Tags', info.tags]
+  ]
+
+  return `<!DOCTYPE html>
+<title>${escapeHTML(url)}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<h1>Info for ${escapeHTML(info.key)}</h1>
+<table>${rows.map(([name, value]) => `
+  <tr><th>${name}</th><td>${escapeHTML(value)}</td></tr>
+`).join('')}
+</table>
+`
+}
+
+function getTarFormat (headers, searchParams) {
+  const format = searchParams.get('format')
+  if (format === 'tar') return 'tar'
+  if ((format === 'tar.gz') || (format === 'tgz')) return 'tar.gz'
+
+  const accept = headers.get('Accept') || ''
+  if (accept.includes('application/gzip')) return 'tar.gz'
+  if (accept.includes('application/x-tar')) return 'tar'
+
+  return null
+}
+
+function exportTar (archive, path, isGzip) {
+  const pack = tar.pack()
+
+  packDirectory(archive, pack, path, '')
+    .then(() => pack.finalize(), (e) => pack.destroy(e))
+
+  if (!isGzip) return pack
+
+  return pipeline(pack, zlib.createGzip(), () => {
+    // Errors get propagated to the consumer by destroying the gzip stream
+  })
+}
+
+async function packDirectory (archive, pack, path, prefix) {
+  const stats = await archive.readdir(path, { includeStats: true })
+
+  for (const { name, stat } of stats) {
+    const fullPath = joinPath(path, name)
+    const entryName = prefix + name
+
+    if (isSymlink(stat)) {
+      // The stat is for the link itself, its target gets exported on its own
+      await addTarEntry(pack, { name: entryName, type: 'symlink', linkname: stat.linkname, mtime: stat.mtime })
+    } else if (stat.isDirectory()) {
+      await addTarEntry(pack, { name: `${entryName}/`, type: 'directory', mtime: stat.mtime })
+      await packDirectory(archive, pack, fullPath, `${entryName}/`)
+    } else {
+      const header = { name: entryName, size: stat.size, mtime: stat.mtime }
+      await addTarEntry(pack, header, archive.createReadStream(fullPath))
+    }
+  }
+}
+
+function addTarEntry (pack, header, source) {
+  return new Promise((resolve, reject) => {
+    const entry = pack.entry(header, (err) => {
+      if (err) reject(err)
+      else resolve()
+    })
+
+    if (!source) return
+
+    // Piping one file at a time keeps memory use flat for huge folders
+    source.on('error', reject)
+    source.pipe(entry)
+  })
+}
+
+async function getWrittenETag (archive, path) {
+  // The drive's version changes with every write, so files get their own ETag
+  // Links are left unfollowed since their target might not exist or loop back
+  const stat = await lstatOrNull(archive, path)
+  if (stat && stat.isFile() && !isSymlink(stat)) return getFileETag(stat)
+  return `"${archive.version}"`
+}
+
+function getFileETag (stat) {
+  // Rewriting a file always appends new blocks to the content feed
+  return `"${stat.offset}-${stat.blocks}-${stat.size}"`
+}
+
+function parseETags (header) {
+  return header.split(',').map((tag) => tag.trim()).filter((tag) => tag)
+}
+
+function meetsPreconditions (headers, exists, etags) {
+  const ifMatch = headers.get('If-Match')
+  if (ifMatch) {
+    if (ifMatch.trim() === '*') {
+      if (!exists) return false
+    } else if (!parseETags(ifMatch).some((tag) => etags.includes(tag))) {
+      // Writes use the strong comparison so weak tags never match
+      return false
+    }
+  }
+
+  const ifNoneMatch = headers.get('If-None-Match')
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') {
+      if (exists) return false
+    } else if (parseETags(ifNoneMatch).some((tag) => etags.includes(tag.replace(/^W\//, '')))) {
+      return false
+    }
+  }
+
+  return true
+}
+
+async function statOrNull (archive, path) {
+  try {
+    const stats = await archive.stat(path)
+    return Array.isArray(stats) ? stats[0] : stats
+  } catch {
+    return null
+  }
+}
+
+async function lstatOrNull (archive, path) {
+  try {
+    const stats = await archive.lstat(path)
+    return Array.isArray(stats) ? stats[0] : stats
+  } catch {
+    return null
+  }
+}
+
+function isSymlink (stat) {
+  return (typeof stat.isSymbolicLink === 'function') && stat.isSymbolicLink()
+}
+
+function resolveLinkTarget (linkPath, target) {
+  if (PROTOCOL_REGEX.test(target)) {
+    throw makeError('SYMLINK_OUTSIDE_DRIVE', `Symlinks can only point inside the drive: ${target}`)
+  }
+
+  // Relative targets start from the folder the link is in
+  const segments = target.startsWith('/') ? [] : linkPath.split('/').filter((segment) => segment).slice(0, -1)
+  for (const segment of target.split('/')) {
+    if (!segment || (segment === '.')) continue
+    if (segment !== '..') {
+      segments.push(segment)
+    } else if (segments.length) {
+      segments.pop()
+    } else {
+      throw makeError('SYMLINK_OUTSIDE_DRIVE', `Symlink at ${linkPath} points outside the drive: ${target}`)
+    }
+  }
+
+  return '/' + segments.join('/')
+}
+
+async function resolveSymlinks (archive, path, state = { hops: 0 }) {
+  const segments = path.split('/').filter((segment) => segment)
+  let resolved = '/'
+
+  // Links can be anywhere along the path, not just at the end
+  for (const segment of segments) {
+    const current = joinPath(resolved, segment)
+    const stat = await lstatOrNull(archive, current)
+    if (!stat || !isSymlink(stat)) {
+      resolved = current
+      continue
+    }
+
+    state.hops++
+    if (state.hops > MAX_SYMLINK_HOPS) {
+      throw makeError('SYMLINK_LOOP', `Too many levels of symlinks at ${current}`)
+    }
+    resolved = await resolveSymlinks(archive, resolveLinkTarget(current, stat.linkname), state)
+  }
+
+  // Keep the trailing slash so folders still get treated as folders
+  if (path.endsWith('/') && (resolved !== '/')) return `${resolved}/`
+  return resolved
+}
+
+function isNotModified (headers, etag, lastModified) {
+  const ifNoneMatch = headers.get('If-None-Match')
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true
+    // GET and HEAD use the weak comparison
+    const weakTag = etag.replace(/^W\//, '')
+    return parseETags(ifNoneMatch).some((tag) => tag.replace(/^W\//, '') === weakTag)
+  }
+
+  const ifModifiedSince = headers.get('If-Modified-Since')
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince)
+    if (Number.isNaN(since)) return false
+    // HTTP dates don't have sub-second precision
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000)
+  }
+
+  return false
+}
+
+function getListingDepth (searchParams) {
+  if (!searchParams.has('recursive')) return 0
+  const depth = parseInt(searchParams.get('recursive'), 10)
+  // `?recursive` on its own walks the entire subtree
+  return Number.isNaN(depth) ? Infinity : depth
+}
+
+async function listDirectory (archive, path, depth, prefix = '') {
+  const stats = await archive.readdir(path, { includeStats: true })
+  const entries = []
+
+  for (const { name, stat } of stats) {
+    const fullPath = joinPath(path, name)
+    const isDirectory = stat.isDirectory() || (isSymlink(stat) && await isDirectoryLink(archive, fullPath))
+    const entryName = prefix + (isDirectory ? `${name}/` : name)
+
+    entries.push({ name: entryName, path: fullPath, stat })
+
+    if (stat.isDirectory() && depth > 0) {
+      entries.push(...await listDirectory(archive, fullPath, depth - 1, entryName))
+    }
+  }
+
+  return entries
+}
+
+async function isDirectoryLink (archive, path) {
+  try {
+    const stat = await statOrNull(archive, await resolveSymlinks(archive, path))
+    return !!stat && stat.isDirectory()
+  } catch {
+    // Broken links and loops are listed like files
+    return false
+  }
+}
+
+function describeListedEntry ({ name, stat }) {
+  // Plain files and folders stay as names, links and mount points get marked with where they point
+  if (stat && isSymlink(stat)) return { name, type: 'symlink', target: stat.linkname }
+  if (stat && stat.mount) return { name, type: 'directory', mount: formatMount(stat.mount) }
+  return name
+}
+
+async function describeEntry (archive, { name, path, stat }) {
+  // Special folders don't have a stat of their own
+  if (!stat) return { name, type: 'directory' }
+
+  const entry = { name, ...formatStat(stat) }
+
+  if (!stat.isDirectory()) {
+    try {
+      const { downloadedBlocks } = await archive.stats(path)
+      entry.downloadedBlocks = downloadedBlocks
+    } catch (e) {
+      // Don't worry about it, it's optional.
+    }
+  }
+
+  return entry
+}
+
+function getEntryName (file) {
+  return (typeof file === 'string') ? file : file.name
+}
+
+function compareNames (a, b) {
+  if (a < b) return -1
+  if (a > b) return 1
+  return 0
+}
+
+function paginateFiles (files, searchParams) {
+  const after = searchParams.get('cursor')
+  const limit = parseInt(searchParams.get('limit'), 10)
+
+  const remaining = after ? files.filter((file) => getEntryName(file) > after) : files
+
+  if (!limit || (remaining.length <= limit)) return { page: remaining, cursor: null }
+
+  const page = remaining.slice(0, limit)
+  const cursor = getEntryName(page[page.length - 1])
+
+  return { page, cursor }
+}
+
+function defaultRenderDirectory (url, path, files) {
+  const hasStats = files.some((file) => (typeof file !== 'string') && (file.size !== undefined))
+  const sorted = [...files].sort(compareDirectoriesFirst)
+  return `<!DOCTYPE html>
+<title>${escapeHTML(url)}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<h1>Index of ${renderBreadcrumbs(path)}</h1>
+${hasStats ? renderFileTable(sorted) : renderFileList(sorted)}
+`
+}
+
+function compareDirectoriesFirst (a, b) {
+  const nameA = getEntryName(a)
+  const nameB = getEntryName(b)
+  const isDirectoryA = nameA.endsWith('/')
+  const isDirectoryB = nameB.endsWith('/')
+
+  if (isDirectoryA && !isDirectoryB) return -1
+  if (!isDirectoryA && isDirectoryB) return 1
+  return compareNames(nameA, nameB)
+}
+
+function renderBreadcrumbs (path) {
+  const segments = path.split('/').filter((segment) => segment)
+  let href = '/'
+  const crumbs = [`<a href="${href}">/</a>`]
+
+  for (const segment of segments) {
+    // The path comes from the URL so it's already percent-encoded
+    href += `${segment}/`
+    crumbs.push(`<a href="${escapeHTML(href)}">${escapeHTML(safeDecodeURIComponent(segment))}/</a>`)
+  }
+
+  return crumbs.join('')
+}
+
+function renderFileList (files) {
+  return `<ul>${files.map((file) => {
+    const name = getEntryName(file)
+    const { mount, target } = file
+    return `
+  <li><a href="${encodeEntryName(name)}">./${escapeHTML(name)}</a>${mount ? ` (mounted from <a href="${escapeHTML(mount.url)}">${escapeHTML(mount.url)}</a>)` : ''}${target ? ` &rarr; ${escapeHTML(target)}` : ''}</li>
+`
+  }).join('')}
+</ul>`
+}
+
+function renderFileTable (files) {
+  return `<table>
+  <tr><th>Name</th><th>Size</th><th>Modified</th><th>Blocks</th></tr>${files.map(({ name, size, mtime, blocks, downloadedBlocks, mount, target }) => `
+  <tr>
+    <td><a href="${encodeEntryName(name)}">./${escapeHTML(name)}</a>${mount ? ` (mounted from <a href="${escapeHTML(mount.url)}">${escapeHTML(mount.url)}</a>)` : ''}${target ? ` &rarr; ${escapeHTML(target)}` : ''}</td>
+    <td>${size === undefined ? '' : size}</td>
+    <td>${mtime ? new Date(mtime).toUTCString() : ''}</td>
+    <td>${downloadedBlocks === undefined ? '' : `${downloadedBlocks}/${blocks}`}</td>
+  </tr>
+`).join('')}
+</table>`
+}
+
+function encodeEntryName (name) {
+  // Names are stored the way they appeared in the URL, so existing escapes stay as they are
+  // and only characters that would end or change the path get encoded
+  return escapeHTML(name.replace(/[\s"#<>?`{}]/g, (char) => encodeURIComponent(char)))
+}
+
+function escapeHTML (text) {
+  return `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function safeDecodeURIComponent (text) {
+  try {
+    return decodeURIComponent(text)
+  } catch {
+    return text
+  }
+}
+
+function renderRangePartHeader (boundary, contentType, start, end, size) {
+  return `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+}
+
+async function * streamRangeParts (archive, path, parts, footer, signal) {
+  for (const { start, end, header } of parts) {
+    yield Buffer.from(header)
+    yield * destroyOnAbort(archive.createReadStream(path, { start, end }), signal)
+    yield Buffer.from('\r\n')
+  }
+  yield Buffer.from(footer)
+}
+
+async function writeFile (archive, path, source, signal, metadata = null) {
+  // The source can fail while the parent folder is being created, so listen right away
+  const sourceFailed = once(source, 'error')
+  sourceFailed.catch(() => {})
+  destroyOnAbort(source, signal)
+
+  const parentDir = path.split('/').slice(0, -1).join('/')
+  if (parentDir) {
+    await makeDir(parentDir, { fs: archive })
+  }
+
+  const writeOptions = metadata ? { metadata } : {}
+  const destination = destroyOnAbort(archive.createWriteStream(path, writeOptions), signal)
+  // The sink is needed because Bitdrive's write stream is duplex
+
+  source.pipe(destination)
+
+  // The file only shows up in the drive once the write stream has finished
+  try {
+    await Promise.race([
+      sourceFailed,
+      once(destination, 'error'),
+      once(destination, 'finish')
+    ])
+  } catch (e) {
+    // Destroying the write stream before it finishes keeps the partial file out of the drive
+    destination.destroy()
+    throw e
+  }
+}
+
+function getContentLength (headers) {
+  const header = headers.get('Content-Length')
+  if (header === null) return null
+
+  if (!NUMBER_REGEX.test(header.trim())) {
+    throw makeError('LENGTH_MISMATCH', `Invalid Content-Length: ${header}`)
+  }
+
+  return parseInt(header, 10)
+}
+
+function getExpectedDigest (headers) {
+  // `Content-Digest` wraps the value in colons, the older `Digest` header doesn't
+  for (const name of ['Content-Digest', 'Digest']) {
+    const header = headers.get(name)
+    if (!header) continue
+
+    for (const entry of header.split(',')) {
+      const [algorithm, ...value] = entry.trim().split('=')
+      // Other algorithms can be ignored as long as there's one we understand
+      if (algorithm.toLowerCase() !== DIGEST_ALGORITHM) continue
+      return value.join('=').replace(/^:|:$/g, '')
+    }
+  }
+
+  return null
+}
+
+async function * verifyBody (source, length, digest) {
+  const hash = crypto.createHash('sha256')
+  let received = 0
+
+  for await (const chunk of source) {
+    received += chunk.length
+    hash.update(chunk)
+    yield chunk
+  }
+
+  // Erroring before the stream ends keeps the write from being committed
+  if ((length !== null) && (received !== length)) {
+    throw makeError('LENGTH_MISMATCH', `Content-Length was ${length} bytes but got ${received} bytes`)
+  }
+  if (digest && (hash.digest('base64') !== digest)) {
+    throw makeError('DIGEST_MISMATCH', `Body did not match the ${DIGEST_ALGORITHM} digest`)
+  }
+}
+
+function getStoredDigest (stat) {
+  const stored = stat.metadata && stat.metadata[DIGEST_METADATA_KEY]
+  if (!stored) return null
+
+  try {
+    const parsed = JSON.parse(stored.toString())
+    return (parsed.size === stat.size) ? parsed[DIGEST_ALGORITHM] : null
+  } catch {
+    return null
+  }
+}
+
+function wantsDigest (headers) {
+  return ['Want-Digest', 'Want-Content-Digest'].some((name) => {
+    return (headers.get(name) || '').toLowerCase().includes(DIGEST_ALGORITHM)
+  })
+}
+
+async function hashFile (archive, path, signal) {
+  const hash = crypto.createHash('sha256')
+
+  for await (const chunk of destroyOnAbort(archive.createReadStream(path), signal)) {
+    hash.update(chunk)
+  }
+
+  return hash.digest('base64')
+}
+
+function getRequestMetadata (headers) {
+  const metadata = {}
+
+  const json = headers.get(METADATA_HEADER)
+  if (json) {
+    let parsed = null
+    try {
+      parsed = JSON.parse(json)
+    } catch (e) {
+      throw makeError('INVALID_METADATA', `Invalid JSON in ${METADATA_HEADER} header: ${e.message}`)
+    }
+    if (!parsed || (typeof parsed !== 'object') || Array.isArray(parsed)) {
+      throw makeError('INVALID_METADATA', `The ${METADATA_HEADER} header must be a JSON object`)
+    }
+    for (const [name, value] of Object.entries(parsed)) {
+      setMetadataValue(metadata, name, (typeof value === 'string') ? value : JSON.stringify(value))
+    }
+  }
+
+  // Individual headers win over the JSON header since they're more specific
+  for (const [name, value] of headers) {
+    if (!name.toLowerCase().startsWith(METADATA_HEADER_PREFIX)) continue
+    setMetadataValue(metadata, name.slice(METADATA_HEADER_PREFIX.length), value)
+  }
+
+  return Object.keys(metadata).length ? metadata : null
+}
+
+function setMetadataValue (metadata, name, value) {
+  const key = name.toLowerCase()
+  // Anything that can't be sent back as a header would make GET fail later
+  if (!key || /[^\w-]/.test(key) || /[\r\n]/.test(value)) {
+    throw makeError('INVALID_METADATA', `Invalid metadata: ${name}`)
+  }
+  if (key === DIGEST_METADATA_KEY) {
+    throw makeError('INVALID_METADATA', `The ${DIGEST_METADATA_KEY} metadata is set from the Digest header`)
+  }
+  metadata[key] = Buffer.from(value)
+}
+
+function addMetadataHeaders (responseHeaders, metadata) {
+  if (!metadata) return
+
+  for (const [name, value] of Object.entries(metadata)) {
+    if (name === DIGEST_METADATA_KEY) continue
+    const text = value.toString()
+    responseHeaders[METADATA_HEADER_PREFIX + name] = text
+    // An explicit type is more reliable than guessing from the extension
+    if (name === 'content-type') responseHeaders['Content-Type'] = text
+  }
+}
+
+function parseContentRange (header) {
+  const match = header.trim().match(CONTENT_RANGE_REGEX)
+  if (!match) return null
+
+  const start = parseInt(match[1], 10)
+  const end = parseInt(match[2], 10)
+  const total = match[3] === '*' ? null : parseInt(match[3], 10)
+  if (end < start) return null
+
+  return { start, end, total }
+}
+
+async function appendFile (archive, path, source, signal, position = null) {
+  // Writes through the descriptor can't be undone, so the body has to arrive in full
+  // before any of it gets written
+  const chunks = []
+  for await (const chunk of source) {
+    throwIfAborted(signal)
+    chunks.push(Buffer.from(chunk))
+  }
+  const buffer = Buffer.concat(chunks)
+
+  const parentDir = path.split('/').slice(0, -1).join('/')
+  if (parentDir) {
+    await makeDir(parentDir, { fs: archive })
+  }
+
+  const fd = await archive.open(path, 'a')
+  try {
+    if (buffer.length) await archive.write(fd, buffer, 0, buffer.length, position)
+  } finally {
+    await archive.close(fd)
+  }
+}
+
+// Bitdrive file descriptors can only write sequentially from the end of the file,
+// so ranges have to start at the current size
+async function writeRange (archive, path, source, start, end, signal) {
+  const length = end - start + 1
+
+  async function * checkLength () {
+    let written = 0
+    for await (const chunk of source) {
+      written += chunk.length
+      if (written > length) break
+      yield chunk
+    }
+    if (written !== length) {
+      throw makeError('INVALID_RANGE', `Body didn't match the ${length} bytes in the Content-Range`)
+    }
+  }
+
+  await appendFile(archive, path, checkLength(), signal, start)
+}
+
+async function copyPath (source, sourcePath, destination, destinationPath, signal) {
+  const stat = await lstatOrNull(source, sourcePath)
+  if (!stat) throw makeError('NOT_FOUND', `Not found: ${sourcePath}`)
+
+  // Links get copied as links, following them could loop forever
+  if (isSymlink(stat)) {
+    await destination.symlink(stat.linkname, destinationPath)
+    return [destinationPath]
+  }
+
+  if (!stat.isDirectory()) {
+    // Keep custom metadata like the content type along with the data
+    const hasMetadata = stat.metadata && Object.keys(stat.metadata).length
+    const metadata = hasMetadata ? stat.metadata : null
+    await writeFile(destination, destinationPath, source.createReadStream(sourcePath), signal, metadata)
+    return [destinationPath]
+  }
+
+  await makeDir(destinationPath, { fs: destination })
+
+  const copied = []
+  for (const name of await source.readdir(sourcePath)) {
+    throwIfAborted(signal)
+    const paths = await copyPath(source, joinPath(sourcePath, name), destination, joinPath(destinationPath, name), signal)
+    copied.push(...paths)
+  }
+
+  return copied
+}
+
+async function removePath (archive, path, recursive) {
+  const stat = await lstatOrNull(archive, path)
+  if (!stat) throw makeError('NOT_FOUND', `Not found: ${path}`)
+
+  // Deleting a link shouldn't delete what it points to
+  if (isSymlink(stat)) {
+    await archive.unlink(path)
+    return [path]
+  }
+
+  // Removing a mount shouldn't touch the files in the mounted drive
+  if (stat.mount) {
+    await archive.unmount(path)
+    return []
+  }
+
+  if (!stat.isDirectory()) {
+    await archive.unlink(path)
+    return [path]
+  }
+
+  const removed = []
+  if (recursive) {
+    for (const name of await archive.readdir(path)) {
+      removed.push(...await removePath(archive, joinPath(path, name), true))
+    }
+  }
+
+  await archive.rmdir(path)
+
+  return removed
+}
+
+function isWithinCopy (source, destination) {
+  if (source.archive !== destination.archive) return false
+  const from = joinPath(source.path, '/')
+  const to = joinPath(destination.path, '/')
+  return to.startsWith(from)
+}
+
+function resolveImportPath (directory, name) {
+  const path = joinPath(directory, name)
+  // Don't let uploads write outside of the directory they were sent to
+  if (!path.startsWith(directory)) throw makeError('INVALID_UPLOAD_PATH', `Invalid path in upload: ${name}`)
+  return path
+}
+
+async function importTar (archive, directory, body, signal) {
+  const extract = destroyOnAbort(tar.extract(), signal)
+  const paths = []
+
+  const finished = new Promise((resolve, reject) => {
+    extract.once('finish', resolve)
+    extract.once('error', reject)
+  })
+
+  extract.on('entry', (header, stream, next) => {
+    importTarEntry(archive, directory, header, stream, paths, signal)
+      .then(() => next(), (e) => extract.destroy(e))
+  })
+
+  Readable.from(body).pipe(extract)
+
+  await finished
+
+  return paths
+}
+
+async function importTarEntry (archive, directory, header, stream, paths, signal) {
+  const path = resolveImportPath(directory, header.name)
+
+  if (header.type === 'directory') {
+    stream.resume()
+    await makeDir(path, { fs: archive })
+  } else if (header.type === 'file') {
+    await writeFile(archive, path, stream, signal)
+    paths.push(path)
+  } else if (header.type === 'symlink') {
+    stream.resume()
+    // Throws if the link would point outside of the drive
+    resolveLinkTarget(path, header.linkname)
+
+    const parentDir = path.split('/').slice(0, -1).join('/')
+    if (parentDir) await makeDir(parentDir, { fs: archive })
+    await archive.symlink(header.linkname, path)
+    paths.push(path)
+  } else {
+    // Hard links and devices aren't supported, skip over them
+    stream.resume()
+  }
+}
+
+async function importFormData (archive, directory, body, contentType, signal) {
+  const parser = destroyOnAbort(busboy({
+    headers: { 'content-type': contentType },
+    // Keep folder structure from uploads like `<input webkitdirectory>`
+    preservePath: true
+  }), signal)
+  const paths = []
+  const writes = []
+  const fileStreams = []
+
+  const finished = new Promise((resolve, reject) => {
+    parser.once('close', resolve)
+    parser.once('error', reject)
+  })
+
+  parser.on('file', (field, stream, { filename }) => {
+    // The parser destroys unfinished files with its own error, which gets reported through `finished`
+    stream.on('error', () => {})
+
+    if (!filename) {
+      stream.resume()
+      return
+    }
+
+    try {
+      const path = resolveImportPath(directory, filename)
+      paths.push(path)
+      fileStreams.push(stream)
+      writes.push(writeFile(archive, path, stream, signal))
+    } catch (e) {
+      stream.resume()
+      parser.destroy(e)
+    }
+  })
+
+  Readable.from(body).pipe(parser)
+
+  let failure = null
+  try {
+    await finished
+  } catch (e) {
+    failure = e
+    // Files that were still uploading shouldn't end up in the drive
+    for (const stream of fileStreams) stream.destroy(e)
+  }
+
+  // Every write needs to settle or its rejection would go unhandled
+  const results = await Promise.allSettled(writes)
+  if (failure) throw failure
+
+  const rejected = results.find(({ status }) => status === 'rejected')
+  if (rejected) throw rejected.reason
+
+  return paths
 }
 
 function once (ee, name) {
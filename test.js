@@ -1,5 +1,7 @@
+const crypto = require('crypto')
 const SDK = require('@web4/sdk')
 const test = require('tape')
+const tar = require('tar-stream')
 
 runTests()
 
@@ -117,48 +119,1130 @@ async function runTests () {
     t.equal(response3.status, 404, 'Got not found on deleted file')
   })
 
+  test('Structured error responses', async (t) => {
+    const response1 = await fetch('bit://example/does-not-exist.txt')
+
+    t.equal(response1.status, 404, 'Got not found')
+    t.equal(response1.headers.get('Content-Type'), 'application/problem+json; charset=utf-8', 'Got problem JSON')
+
+    const problem1 = await response1.json()
+
+    t.equal(problem1.code, 'NOT_FOUND', 'Got stable error code')
+    t.notOk(problem1.stack, 'No stack trace by default')
+
+    const response2 = await fetch('bit://example+not-a-tag/example.txt')
+
+    t.equal(response2.status, 404, 'Got not found for unknown tag')
+    t.equal((await response2.json()).code, 'VERSION_NOT_FOUND', 'Got version error code')
+
+    await fetch('bit://example/nonempty/example.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    const response3 = await fetch('bit://example/nonempty/', { method: 'DELETE' })
+
+    t.equal(response3.status, 409, 'Got conflict deleting non-empty directory')
+    t.equal((await response3.json()).code, 'DIRECTORY_NOT_EMPTY', 'Got directory error code')
+
+    const readOnlyFetch = require('./')({ Bitdrive, debug: true })
+    const response4 = await readOnlyFetch('bit://example/readonly.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    t.equal(response4.status, 403, 'Got not authorized when not writable')
+
+    const problem4 = await response4.json()
+
+    t.equal(problem4.code, 'NOT_WRITABLE', 'Got writable error code')
+    t.ok(problem4.stack, 'Got stack trace in debug mode')
+  })
+
   test('GET index.html', async (t) => {
     const response1 = await fetch('bit://example/baz')
 
-    t.equal(await response1.text(), SAMPLE_CONTENT, 'Got index.html content')
+    t.equal(await response1.text(), SAMPLE_CONTENT, 'Got index.html content')
+
+    const response2 = await fetch('bit://example/baz?noResolve')
+
+    t.equal(response2.headers.get('content-type'), 'application/json; charset=utf-8', 'noResolve flag yields JSON by default')
+    t.deepEqual(await response2.json(), ['index.html'], 'Listed directory')
+
+    const response3 = await fetch('bit://example/baz?noResolve')
+    t.equal(response3.headers.get('content-type'), 'application/json; charset=utf-8', 'noResolve flag yields JSON by default')
+    t.deepEqual(await response3.json(), ['index.html'], 'Listed directory')
+  })
+
+  test('GET byte ranges', async (t) => {
+    await fetch('bit://example/ranges.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response1 = await fetch('bit://example/ranges.txt', { headers: { Range: 'bytes=0-4' } })
+
+    t.equal(response1.status, 206, 'Got partial content for single range')
+    t.equal(response1.headers.get('Content-Range'), `bytes 0-4/${SAMPLE_CONTENT.length}`, 'Got expected Content-Range')
+    t.equal(await response1.text(), 'Hello', 'Got the requested slice')
+
+    const response2 = await fetch('bit://example/ranges.txt', { headers: { Range: 'bytes=0-4, 6-10' } })
+
+    t.equal(response2.status, 206, 'Got partial content for multiple ranges')
+
+    const contentType = response2.headers.get('Content-Type')
+    t.ok(contentType.startsWith('multipart/byteranges; boundary='), 'Got multipart response')
+
+    const boundary = contentType.split('boundary=')[1]
+    const text = await response2.text()
+
+    t.equal(`${text.length}`, response2.headers.get('Content-Length'), 'Content-Length matches body')
+    t.ok(text.includes(`--${boundary}\r\nContent-Type: text/plain; charset=utf-8\r\nContent-Range: bytes 0-4/${SAMPLE_CONTENT.length}\r\n\r\nHello\r\n`), 'Got first part')
+    t.ok(text.includes(`--${boundary}\r\nContent-Type: text/plain; charset=utf-8\r\nContent-Range: bytes 6-10/${SAMPLE_CONTENT.length}\r\n\r\nWorld\r\n`), 'Got second part')
+    t.ok(text.endsWith(`--${boundary}--\r\n`), 'Got closing delimiter')
+
+    const response3 = await fetch('bit://example/ranges.txt', { headers: { Range: 'bytes=100-200' } })
+
+    t.equal(response3.status, 416, 'Got range not satisfiable')
+    t.equal(response3.headers.get('Content-Range'), `bytes */${SAMPLE_CONTENT.length}`, 'Content-Range has the file size')
+  })
+
+  test('Conditional GET with ETag and Last-Modified', async (t) => {
+    await fetch('bit://example/conditional.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response1 = await fetch('bit://example/conditional.txt')
+    const etag = response1.headers.get('ETag')
+    const lastModified = response1.headers.get('Last-Modified')
+
+    t.ok(etag, 'Got an ETag for the file')
+
+    // Writing elsewhere in the drive shouldn't invalidate this file
+    await fetch('bit://example/unrelated.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response2 = await fetch('bit://example/conditional.txt', { headers: { 'If-None-Match': etag } })
+
+    t.equal(response2.status, 304, 'Got not modified for matching ETag')
+    t.equal(response2.headers.get('ETag'), etag, 'ETag unchanged by unrelated write')
+
+    const response3 = await fetch('bit://example/conditional.txt', { headers: { 'If-Modified-Since': lastModified } })
+
+    t.equal(response3.status, 304, 'Got not modified for If-Modified-Since')
+
+    await fetch('bit://example/conditional.txt', { method: 'PUT', body: 'Goodbye World' })
+
+    const response4 = await fetch('bit://example/conditional.txt', { headers: { 'If-None-Match': etag } })
+
+    t.equal(response4.status, 200, 'Got full response after the file changed')
+    t.notEqual(response4.headers.get('ETag'), etag, 'ETag changed after rewrite')
+    t.equal(await response4.text(), 'Goodbye World', 'Got new content')
+  })
+
+  test('PUT and DELETE with preconditions', async (t) => {
+    const response1 = await fetch('bit://example/precondition.txt', { method: 'PUT', body: SAMPLE_CONTENT, headers: { 'If-None-Match': '*' } })
+
+    t.equal(response1.status, 200, 'Able to create new file with If-None-Match')
+
+    const response2 = await fetch('bit://example/precondition.txt', { method: 'PUT', body: SAMPLE_CONTENT, headers: { 'If-None-Match': '*' } })
+
+    t.equal(response2.status, 412, 'Unable to overwrite existing file with If-None-Match')
+
+    const response3 = await fetch('bit://example/precondition.txt')
+    const etag = response3.headers.get('ETag')
+
+    const response4 = await fetch('bit://example/precondition.txt', { method: 'PUT', body: 'Updated', headers: { 'If-Match': etag } })
+
+    t.equal(response4.status, 200, 'Able to update with matching If-Match')
+
+    const response5 = await fetch('bit://example/precondition.txt', { method: 'PUT', body: 'Stale', headers: { 'If-Match': etag } })
+
+    t.equal(response5.status, 412, 'Unable to update with stale If-Match')
+
+    const response6 = await fetch('bit://example/precondition.txt', { method: 'DELETE', headers: { 'If-Match': etag } })
+
+    t.equal(response6.status, 412, 'Unable to delete with stale If-Match')
+
+    const response7 = await fetch('bit://example/precondition.txt')
+
+    t.equal(await response7.text(), 'Updated', 'File kept the last accepted write')
+
+    const written = await fetch('bit://example/precondition.txt', { method: 'PUT', body: 'Written' })
+    const writtenETag = written.headers.get('ETag')
+    await fetch('bit://example/unrelated.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    t.equal((await fetch('bit://example/precondition.txt')).headers.get('ETag'), writtenETag, 'PUT returned the ETag of the file')
+
+    const racing = await Promise.all(['First', 'Second'].map((body) => {
+      return fetch('bit://example/precondition.txt', { method: 'PUT', body, headers: { 'If-Match': writtenETag } })
+    }))
+
+    t.deepEqual(racing.map(({ status }) => status).sort(), [200, 412], 'Only one concurrent write with the same If-Match succeeds')
+
+    const tagged = await fetch('bit://example/$/tags/guarded', { method: 'PUT' })
+    const tagETag = tagged.headers.get('ETag')
+
+    const response8 = await fetch('bit://example/$/tags/guarded', { method: 'PUT', headers: { 'If-None-Match': '*' } })
+
+    t.equal(response8.status, 412, 'Unable to overwrite existing tag with If-None-Match')
+
+    await fetch('bit://example/precondition.txt', { method: 'PUT', body: 'Moved on' })
+    const driveETag = (await fetch('bit://example/$/tags/')).headers.get('ETag')
+
+    const response9 = await fetch('bit://example/$/tags/guarded', { method: 'DELETE', headers: { 'If-Match': driveETag } })
+
+    t.equal(response9.status, 412, 'Drive version does not match tag')
+
+    const response10 = await fetch('bit://example/$/tags/guarded', { method: 'PUT', headers: { 'If-Match': tagETag } })
+
+    t.equal(response10.status, 200, 'Tag version matches tag')
+
+    await fetch('bit://example/$/tags/guarded', { method: 'DELETE' })
+  })
+
+  test('Export directory as tar', async (t) => {
+    await fetch('bit://example/export/index.html', { method: 'PUT', body: SAMPLE_CONTENT })
+    await fetch('bit://example/export/nested/example.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    await fetch('bit://example/export/link.txt', { method: 'PUT', headers: { 'x-symlink-target': 'nested/example.txt' } })
+    await fetch('bit://example/export/folder-link', { method: 'PUT', headers: { 'x-symlink-target': 'nested' } })
+
+    const response = await fetch('bit://example/export/', {
+      headers: {
+        Accept: 'application/x-tar'
+      }
+    })
+
+    t.ok(response.ok, 'Able to export directory')
+    t.equal(response.headers.get('Content-Type'), 'application/x-tar', 'Got tar content type')
+
+    const extract = tar.extract()
+    const entries = {}
+    const links = {}
+
+    extract.on('entry', (header, stream, next) => {
+      if (header.type === 'symlink') links[header.name] = header.linkname
+      let content = ''
+      stream.on('data', (chunk) => { content += chunk })
+      stream.on('end', () => {
+        entries[header.name] = content
+        next()
+      })
+    })
+
+    const finished = new Promise((resolve, reject) => {
+      extract.once('finish', resolve)
+      extract.once('error', reject)
+    })
+
+    extract.end(Buffer.from(await response.arrayBuffer()))
+
+    await finished
+
+    t.equal(entries['index.html'], SAMPLE_CONTENT, 'Exported index.html instead of rendering it')
+    t.equal(entries['nested/example.txt'], SAMPLE_CONTENT, 'Exported nested file')
+    t.ok('nested/' in entries, 'Exported nested directory')
+    t.deepEqual(links, { 'link.txt': 'nested/example.txt', 'folder-link': 'nested' }, 'Exported symlinks as links')
+
+    const response2 = await fetch('bit://example/export/?format=tar.gz')
+
+    t.equal(response2.headers.get('Content-Type'), 'application/gzip', 'Got gzip content type')
+  })
+
+  test('Import tar and form data into directory', async (t) => {
+    const pack = tar.pack()
+    pack.entry({ name: 'index.html' }, SAMPLE_CONTENT)
+    pack.entry({ name: 'posts/example.md' }, SAMPLE_CONTENT)
+    pack.entry({ name: 'latest.md', type: 'symlink', linkname: 'posts/example.md' })
+    pack.finalize()
+
+    const chunks = []
+    for await (const chunk of pack) chunks.push(chunk)
+
+    const response1 = await fetch('bit://example/import/', {
+      method: 'PUT',
+      body: Buffer.concat(chunks),
+      headers: {
+        'Content-Type': 'application/x-tar',
+        'x-tag': 'imported'
+      }
+    })
+
+    t.ok(response1.ok, 'Able to import tar')
+
+    const manifest = await response1.json()
+
+    t.deepEqual(manifest.paths, ['/import/index.html', '/import/posts/example.md', '/import/latest.md'], 'Manifest lists written paths')
+    t.equal(manifest.tag, 'imported', 'Manifest contains tag')
+
+    const response2 = await fetch('bit://example/import/posts/example.md')
+
+    t.equal(await response2.text(), SAMPLE_CONTENT, 'Able to read imported file')
+
+    const linked = await fetch('bit://example/import/latest.md?noFollow')
+
+    t.equal(await linked.text(), 'posts/example.md', 'Imported symlink kept as a link')
+
+    const response3 = await fetch('bit://example/$/tags/imported')
+
+    t.equal(await response3.json(), manifest.version, 'Tag points at imported version')
+
+    const boundary = 'example-boundary'
+    const formBody = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="form.txt"',
+      'Content-Type: text/plain',
+      '',
+      SAMPLE_CONTENT,
+      `--${boundary}--`,
+      ''
+    ].join('\r\n')
+
+    const response4 = await fetch('bit://example/import/', {
+      method: 'POST',
+      body: formBody,
+      headers: {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`
+      }
+    })
+
+    t.ok(response4.ok, 'Able to import form data')
+    t.deepEqual((await response4.json()).paths, ['/import/form.txt'], 'Manifest lists form file')
+
+    const response5 = await fetch('bit://example/import/form.txt')
+
+    t.equal(await response5.text(), SAMPLE_CONTENT, 'Able to read uploaded form file')
+
+    const truncatedBody = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="truncated.txt"',
+      'Content-Type: text/plain',
+      '',
+      SAMPLE_CONTENT
+    ].join('\r\n')
+
+    const response6 = await fetch('bit://example/import/', {
+      method: 'POST',
+      body: truncatedBody,
+      headers: {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`
+      }
+    })
+
+    t.notOk(response6.ok, 'Truncated form data is rejected')
+
+    const escapingBody = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="first.txt"',
+      'Content-Type: text/plain',
+      '',
+      SAMPLE_CONTENT,
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="../escape.txt"',
+      'Content-Type: text/plain',
+      '',
+      SAMPLE_CONTENT,
+      `--${boundary}--`,
+      ''
+    ].join('\r\n')
+
+    const response7 = await fetch('bit://example/import/', {
+      method: 'POST',
+      body: escapingBody,
+      headers: {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`
+      }
+    })
+
+    t.notOk(response7.ok, 'Form data escaping the directory is rejected')
+
+    const response8 = await fetch('bit://example/escape.txt', { method: 'HEAD' })
+
+    t.equal(response8.status, 404, 'Escaping form file was not written')
+
+    await fetch('bit://example/$/tags/imported', { method: 'DELETE' })
+  })
+
+  test('Directory listing with stats, recursion and pagination', async (t) => {
+    await fetch('bit://example/listing/a.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    await fetch('bit://example/listing/b.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    await fetch('bit://example/listing/sub/c.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response1 = await fetch('bit://example/listing/?stats')
+    const stats = await response1.json()
+
+    t.deepEqual(stats.map(({ name }) => name), ['a.txt', 'b.txt', 'sub/'], 'Listed entries with stats')
+    t.equal(stats[0].type, 'file', 'Got entry type')
+    t.equal(stats[0].size, SAMPLE_CONTENT.length, 'Got entry size')
+    t.ok(stats[0].mtime, 'Got entry mtime')
+    t.equal(stats[2].type, 'directory', 'Got directory type')
+
+    const response2 = await fetch('bit://example/listing/?recursive')
+
+    t.deepEqual(await response2.json(), ['a.txt', 'b.txt', 'sub/', 'sub/c.txt'], 'Listed subtree')
+
+    const response3 = await fetch('bit://example/listing/?limit=2')
+
+    t.deepEqual(await response3.json(), ['a.txt', 'b.txt'], 'Got first page')
+
+    const link = response3.headers.get('Link')
+    const [, nextURL] = link.match(/<([^>]+)>; rel="next"/)
+
+    const response4 = await fetch(nextURL)
+
+    t.deepEqual(await response4.json(), ['sub/'], 'Got next page')
+    t.notOk(response4.headers.get('Link').includes('rel="next"'), 'No next page at the end')
+
+    const response5 = await fetch('bit://example/listing/?stats&recursive&limit=2&cursor=b.txt')
+    const page = await response5.json()
+
+    t.deepEqual(page.map(({ name }) => name), ['sub/', 'sub/c.txt'], 'Got page of recursive stats')
+    t.equal(page[1].size, SAMPLE_CONTENT.length, 'Paged entries have stats')
+  })
+
+  test('HTML directory listing escapes names', async (t) => {
+    const evilName = '<img src=x onerror=alert(1)>.txt'
+    // URLs get percent-encoded so write the file directly
+    const archive = Bitdrive('example')
+    await archive.ready()
+    await archive.writeFile(`/escaping/${evilName}`, SAMPLE_CONTENT)
+    await fetch('bit://example/escaping/sub/', { method: 'PUT' })
+
+    const response = await fetch('bit://example/escaping/', {
+      headers: {
+        Accept: 'text/html'
+      }
+    })
+
+    const html = await response.text()
+
+    t.notOk(html.includes('<img'), 'File name was escaped')
+    t.ok(html.includes('href="%3Cimg%20src=x%20onerror=alert(1)%3E.txt"'), 'Link was URL encoded')
+    t.ok(html.indexOf('sub/') < html.indexOf('.txt'), 'Directories listed first')
+    t.ok(html.includes('<a href="/escaping/">escaping/</a>'), 'Got breadcrumb for current folder')
+
+    const rootResponse = await fetch('bit://example/', {
+      headers: {
+        Accept: 'text/html'
+      }
+    })
+
+    t.ok((await rootResponse.text()).includes('href="$/"'), 'Special folder link is not encoded')
+
+    await fetch('bit://example/spaced/a b.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const listingURL = 'bit://example/spaced/'
+    const spacedResponse = await fetch(listingURL, {
+      headers: {
+        Accept: 'text/html'
+      }
+    })
+    const [, href] = (await spacedResponse.text()).match(/<li><a href="([^"]+)">/)
+    const linkedResponse = await fetch(new URL(href, listingURL).href)
+
+    t.equal(await linkedResponse.text(), SAMPLE_CONTENT, 'Able to follow link to file with a space')
+  })
+
+  test('Custom directory renderer', async (t) => {
+    const customFetch = require('./')({
+      Bitdrive,
+      renderDirectory: (url, path, files) => `custom ${path} ${files.length}`
+    })
+
+    const response = await customFetch('bit://example/listing/', {
+      headers: {
+        Accept: 'text/html'
+      }
+    })
+
+    t.equal(response.headers.get('Content-Type'), 'text/html; charset=utf-8', 'Got HTML content type')
+    t.equal(await response.text(), 'custom /listing/ 3', 'Used custom renderer')
+  })
+
+  test('Create and read tags', async (t) => {
+    await fetch('bit://example/test.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response2 = await fetch('bit://example/$/tags/tag1', { method: 'PUT' })
+    t.ok(response2.ok, 'Able to create tag')
+
+    const version = await response2.json()
+
+    const response3 = await fetch('bit://example/$/tags/')
+
+    t.ok(response3.ok, 'Able to ask for tags')
+    t.deepEqual(await response3.json(), { tag1: version }, 'Tag got created')
+
+    // Insert a file which won't be available with the old tag
+    await fetch('bit://example/notaccessible.txt', { method: 'PUT', body: 'test' })
+
+    const response4 = await fetch('bit://example+tag1/notaccessible.txt')
+
+    t.equal(response4.status, 404, 'Newer file not found in older tag')
+
+    const response5 = await fetch('bit://example/$/tags/tag1', { method: 'DELETE' })
+
+    t.ok(response5.ok, 'Able to delete tag')
+
+    const response6 = await fetch('bit://example/$/tags/')
+
+    t.deepEqual(await response6.json(), {}, 'No tags left after delete')
+  })
+
+  test('Diff between versions', async (t) => {
+    const response1 = await fetch('bit://example/$/tags/beforediff', { method: 'PUT' })
+    const fromVersion = await response1.json()
+
+    await fetch('bit://example/diff/added.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response2 = await fetch(`bit://example/$/diff/?from=${fromVersion}`)
+
+    t.ok(response2.ok, 'Able to get diff')
+
+    const entries = await response2.json()
+    const added = entries.find(({ name }) => name === '/diff/added.txt')
+
+    t.ok(added, 'Diff contains the new file')
+    t.equal(added.type, 'put', 'New file shows up as a put')
+    t.equal(added.stat.size, SAMPLE_CONTENT.length, 'Diff contains the file stat')
+
+    const response3 = await fetch('bit://example/$/diff/?from=beforediff&path=/diff/', {
+      headers: {
+        Accept: 'application/x-ndjson'
+      }
+    })
+
+    t.equal(response3.headers.get('Content-Type'), 'application/x-ndjson', 'Got NDJSON response')
+
+    const lines = (await response3.text()).split('\n').filter((line) => line)
+    const names = lines.map((line) => JSON.parse(line).name)
+
+    t.deepEqual(names, ['/diff/added.txt'], 'Diff limited to path and resolved tag')
+
+    await fetch('bit://example/$/tags/beforediff', { method: 'DELETE' })
+  })
+
+  test('Drive and file history', async (t) => {
+    await fetch('bit://example/history.txt', { method: 'PUT', body: 'First' })
+    await fetch('bit://example/history.txt', { method: 'PUT', body: 'Second' })
+
+    const response1 = await fetch('bit://example/$/history/?limit=1')
+
+    t.ok(response1.ok, 'Able to get drive history')
+
+    const [latest] = await response1.json()
+
+    t.equal(latest.name, '/history.txt', 'Latest entry is the last write')
+    t.equal(latest.type, 'put', 'Latest entry is a put')
+    t.ok(latest.url.endsWith(`+${latest.version}/history.txt`), 'Entry has a versioned URL')
+
+    const response2 = await fetch('bit://example/history.txt?history')
+
+    t.ok(response2.ok, 'Able to get file history')
+
+    const fileHistory = await response2.json()
+
+    t.equal(fileHistory.length, 2, 'Got both writes to the file')
+    t.ok(fileHistory[0].version > fileHistory[1].version, 'History is newest first')
+
+    const response3 = await fetch(fileHistory[1].url)
+
+    t.equal(await response3.text(), 'First', 'Able to load previous revision')
+
+    const response4 = await fetch(`bit://example/history.txt?history&before=${fileHistory[0].version}`)
+    const olderHistory = await response4.json()
+
+    t.deepEqual(olderHistory.map(({ version }) => version), [fileHistory[1].version], 'Able to page with before')
+
+    const response5 = await fetch('bit://example/history.txt?history&limit=1')
+    const limitedHistory = await response5.json()
+
+    t.deepEqual(limitedHistory.map(({ version }) => version), [fileHistory[0].version], 'History capped at limit')
+
+    const response6 = await fetch(`bit://example/history.txt?history&after=${fileHistory[1].version}`)
+    const newerHistory = await response6.json()
+
+    t.deepEqual(newerHistory.map(({ version }) => version), [fileHistory[0].version], 'Able to page with after')
+
+    await fetch('bit://example/history.txt', { method: 'DELETE' })
+
+    const response7 = await fetch('bit://example/history.txt?history')
+    const [deleted] = await response7.json()
+
+    t.equal(deleted.type, 'del', 'Deletes show up in history')
+    t.equal(deleted.name, '/history.txt', 'Delete has the deleted path')
+  })
+
+  test('Per-request timeout and abort', async (t) => {
+    const unknownKey = 'f'.repeat(64)
+
+    const start = Date.now()
+    const response = await fetch(`bit://${unknownKey}/`, {
+      headers: {
+        'x-timeout': '100'
+      }
+    })
+
+    t.notOk(response.ok, 'Failed to load drive without peers')
+    t.ok((Date.now() - start) < 2000, 'Gave up after the request timeout')
+
+    const controller = new AbortController()
+    const aborted = fetch(`bit://${'e'.repeat(64)}/`, { signal: controller.signal })
+      .then((response) => response.ok, () => false)
+
+    setTimeout(() => controller.abort(), 100)
+
+    const abortStart = Date.now()
+
+    t.notOk(await aborted, 'Aborted request did not succeed')
+    t.ok((Date.now() - abortStart) < 2000, 'Stopped waiting for peers on abort')
+
+    const preAborted = new AbortController()
+    preAborted.abort()
+    const response2 = await fetch('bit://example/', { signal: preAborted.signal })
+
+    t.equal(response2.status, 499, 'Aborted request got its own status')
+    t.equal((await response2.json()).code, 'REQUEST_ABORTED', 'Abort has its own error code')
+  })
+
+  test('DNS resolution gets cached', async (t) => {
+    const lookups = []
+    const archive = Bitdrive('example')
+    await archive.ready()
+    const key = archive.key.toString('hex')
+
+    const cachedFetch = require('./')({
+      Bitdrive,
+      resolveURL: async (url) => {
+        const { hostname } = new URL(url)
+        lookups.push(hostname)
+        if (hostname === 'missing.example') throw new Error('Unable to resolve')
+        return Object.assign(new URL(`bit://${key}`), { ttl: 60 })
+      }
+    })
+
+    const response1 = await cachedFetch('bit://cached.example/.well-known/bit')
+    const response2 = await cachedFetch('bit://cached.example/.well-known/bit')
+
+    t.ok(response1.ok && response2.ok, 'Able to load domain')
+    t.deepEqual(lookups, ['cached.example'], 'Resolved domain once')
+
+    const entry = cachedFetch.dnsCache.get('cached.example')
+
+    t.equal(entry.key, key, 'Cache entry has resolved key')
+    t.ok(entry.expires > Date.now() + 50 * 1000, 'Cache entry uses resolver TTL')
+
+    await cachedFetch('bit://missing.example/')
+    await cachedFetch('bit://missing.example/')
+
+    t.equal(lookups.filter((name) => name === 'missing.example').length, 1, 'Failed lookup got cached')
+
+    await cachedFetch.dnsCache.clear()
+    await cachedFetch('bit://cached.example/.well-known/bit')
+
+    t.equal(lookups.filter((name) => name === 'cached.example').length, 2, 'Resolved again after flushing cache')
+
+    // The default resolver only reports the record's expiry to the cache it's given
+    const recordFetch = require('./')({
+      Bitdrive,
+      resolveURL: async (url, { cache }) => {
+        const { hostname } = new URL(url)
+        await cache.set('bit', hostname, { key, expires: Date.now() + 120 * 1000 })
+        return new URL(`bit://${key}`)
+      }
+    })
+
+    await recordFetch('bit://record.example/.well-known/bit')
+    const recordEntry = recordFetch.dnsCache.get('record.example')
+
+    t.ok(recordEntry.expires <= Date.now() + 120 * 1000, 'Cache entry uses TTL from the record')
+    t.ok(recordEntry.expires > Date.now() + 100 * 1000, 'Cache entry lasts until the record expires')
+  })
+
+  test('Drive pool evicts least recently used drives', async (t) => {
+    const pooledFetch = require('./')({
+      Bitdrive,
+      maxDrives: 1
+    })
+
+    await pooledFetch('bit://pool1/.well-known/bit')
+
+    t.deepEqual(pooledFetch.openDrives().map(({ name }) => name), ['pool1'], 'Drive got opened')
+
+    const controller = new AbortController()
+    const eventRequest = await pooledFetch('bit://pool1/', {
+      signal: controller.signal,
+      headers: {
+        Accept: 'text/event-stream'
+      }
+    })
+    const reader = await eventRequest.body.getReader()
+    // Start reading so the stream is live
+    reader.read().catch(() => undefined)
+    await delay(100)
+
+    await pooledFetch('bit://pool2/.well-known/bit')
+
+    t.deepEqual(pooledFetch.openDrives().map(({ name }) => name), ['pool1', 'pool2'], 'Live stream kept drive open')
+
+    controller.abort()
+    await reader.cancel()
+    await pooledFetch('bit://pool3/.well-known/bit')
+
+    t.deepEqual(pooledFetch.openDrives().map(({ name }) => name), ['pool3'], 'Least recently used drives got evicted')
+
+    await pooledFetch.close()
+
+    t.deepEqual(pooledFetch.openDrives(), [], 'All drives closed')
+  })
+
+  test('Drive pool keeps drives open while bodies stream', async (t) => {
+    const pooledFetch = require('./')({
+      Bitdrive,
+      idleTimeout: 1,
+      closeDrives: true
+    })
+
+    const content = crypto.randomBytes(256 * 1024).toString('hex')
+    await fetch('bit://pool-stream/big.txt', { method: 'PUT', body: content })
+
+    const response = await pooledFetch('bit://pool-stream/big.txt')
+    const [entry] = pooledFetch.openDrives()
+
+    t.equal(entry.pins, 1, 'Drive pinned while the body streams')
+
+    await delay(50)
+
+    t.equal(await response.text(), content, 'Got the whole body after the idle timeout')
+
+    await delay(50)
+
+    t.deepEqual(pooledFetch.openDrives(), [], 'Drive closed once the body was read')
+
+    await pooledFetch.close()
+  })
+
+  test('Drive info', async (t) => {
+    const response1 = await fetch('bit://example/$/')
+    const specialFiles = await response1.json()
+
+    t.ok(specialFiles.includes('info'), 'Info listed in special folder')
+
+    const response2 = await fetch('bit://example/$/info')
+
+    t.ok(response2.ok, 'Able to get info')
+
+    const info = await response2.json()
+
+    t.equal(info.key.length, 64, 'Got drive key')
+    t.equal(info.discoveryKey.length, 64, 'Got discovery key')
+    t.equal(info.version, Number(response2.headers.get('ETag').slice(1, -1)), 'Got current version')
+    t.equal(info.writable, true, 'Drive is writable')
+    t.equal(info.downloadedPercent, 100, 'Local drive is fully downloaded')
+    t.ok(info.content.byteLength > 0, 'Got content size')
+    t.equal(typeof info.peers, 'number', 'Got peer count')
+    t.equal(typeof info.tags, 'number', 'Got tag count')
+
+    const response3 = await fetch('bit://example/$/info', {
+      headers: {
+        Accept: 'text/html'
+      }
+    })
+
+    t.equal(response3.headers.get('Content-Type'), 'text/html; charset=utf-8', 'Got HTML info')
+    t.ok((await response3.text()).includes(info.key), 'HTML contains key')
+  })
+
+  test('Create and list drives', async (t) => {
+    const response1 = await fetch('bit://localhost/$/drives/?name=created', { method: 'POST' })
+
+    t.equal(response1.status, 201, 'Able to create drive')
+
+    const drive = await response1.json()
+
+    t.equal(drive.key.length, 64, 'Got drive key')
+    t.equal(drive.url, `bit://${drive.key}/`, 'Got drive URL')
+    t.equal(drive.name, 'created', 'Got drive name')
+    t.equal(drive.writable, true, 'Drive is writable')
+    t.equal(response1.headers.get('Location'), drive.url, 'Location points at drive')
+
+    const response2 = await fetch(`${drive.url}example.txt`, { method: 'PUT', body: SAMPLE_CONTENT })
+
+    t.ok(response2.ok, 'Able to write to new drive')
+
+    const response3 = await fetch('bit://localhost/$/drives/?writable')
+    const drives = await response3.json()
+
+    t.ok(drives.find(({ key }) => key === drive.key), 'New drive is listed')
+    t.ok(drives.every(({ writable }) => writable), 'Only writable drives are listed')
+
+    const response4 = await fetch('bit://localhost/$/drives/?name=created', { method: 'POST' })
+
+    t.equal(response4.status, 200, 'Existing drive is not created again')
+    t.equal((await response4.json()).key, drive.key, 'Got the existing drive')
+
+    const response5 = await fetch(`bit://localhost/$/drives/?name=${drive.key}`, { method: 'POST' })
+
+    t.equal(response5.status, 400, 'Hex keys are not valid names')
+  })
+
+  test('Patch ranges and append to files', async (t) => {
+    await fetch('bit://example/patched.txt', { method: 'PUT', body: 'Hello World' })
+
+    const response1 = await fetch('bit://example/patched.txt', {
+      method: 'PATCH',
+      body: ', Bye',
+      headers: {
+        'Content-Range': 'bytes 11-15/16'
+      }
+    })
+
+    t.ok(response1.ok, 'Able to patch range')
+
+    const response2 = await fetch('bit://example/patched.txt')
+
+    t.equal(await response2.text(), 'Hello World, Bye', 'Range got written at the end')
+
+    const response3 = await fetch('bit://example/patched.txt', {
+      method: 'PATCH',
+      body: '!',
+      headers: {
+        'x-append': 'true',
+        'x-expected-size': '16'
+      }
+    })
+
+    t.ok(response3.ok, 'Able to append')
+
+    const response4 = await fetch('bit://example/patched.txt')
+
+    t.equal(await response4.text(), 'Hello World, Bye!', 'Data got appended')
+
+    const response5 = await fetch('bit://example/patched.txt', {
+      method: 'PATCH',
+      body: '!',
+      headers: {
+        'x-append': 'true',
+        'x-expected-size': '16'
+      }
+    })
+
+    t.equal(response5.status, 412, 'Wrong size fails precondition')
+
+    const response6 = await fetch('bit://example/patched.txt', {
+      method: 'PATCH',
+      body: 'Gap',
+      headers: {
+        'Content-Range': 'bytes 20-22/*'
+      }
+    })
+
+    t.equal(response6.status, 416, 'Unable to write past end of file')
+    t.equal(response6.headers.get('Content-Range'), 'bytes */17', 'Got current size')
+
+    const response7 = await fetch('bit://example/patched.txt', {
+      method: 'PATCH',
+      body: 'There',
+      headers: {
+        'Content-Range': 'bytes 6-10/*'
+      }
+    })
+
+    t.equal(response7.status, 416, 'Unable to overwrite inside the file')
 
-    const response2 = await fetch('bit://example/baz?noResolve')
+    const response8 = await fetch('bit://example/patched.txt', {
+      method: 'PATCH',
+      headers: {
+        'x-append': 'true'
+      }
+    })
 
-    t.equal(response2.headers.get('content-type'), 'application/json; charset=utf-8', 'noResolve flag yields JSON by default')
-    t.deepEqual(await response2.json(), ['index.html'], 'Listed directory')
+    t.equal(response8.status, 400, 'Patch without a body is rejected')
 
-    const response3 = await fetch('bit://example/baz?noResolve')
-    t.equal(response3.headers.get('content-type'), 'application/json; charset=utf-8', 'noResolve flag yields JSON by default')
-    t.deepEqual(await response3.json(), ['index.html'], 'Listed directory')
+    const response9 = await fetch('bit://example/patched.txt', {
+      method: 'PATCH',
+      body: 'Too long',
+      headers: {
+        'Content-Range': 'bytes 17-18/*'
+      }
+    })
+
+    t.equal(response9.status, 400, 'Body longer than the range is rejected without a Content-Length')
+
+    const response10 = await fetch('bit://example/patched.txt', {
+      method: 'PATCH',
+      body: '?',
+      headers: {
+        'Content-Range': 'bytes 17-19/*'
+      }
+    })
+
+    t.equal(response10.status, 400, 'Body shorter than the range is rejected without a Content-Length')
+
+    const response11 = await fetch('bit://example/patched.txt')
+
+    t.equal(await response11.text(), 'Hello World, Bye!', 'Rejected patches left the file alone')
   })
 
-  test('Create and read tags', async (t) => {
-    await fetch('bit://example/test.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+  test('Copy, move, and delete folders', async (t) => {
+    await fetch('bit://example/original/one.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    await fetch('bit://example/original/nested/two.txt', { method: 'PUT', body: SAMPLE_CONTENT })
 
-    const response2 = await fetch('bit://example/$/tags/tag1', { method: 'PUT' })
-    t.ok(response2.ok, 'Able to create tag')
+    const response1 = await fetch('bit://example/original/', {
+      method: 'COPY',
+      headers: {
+        Destination: '/copied/'
+      }
+    })
 
-    const version = await response2.json()
+    t.ok(response1.ok, 'Able to copy folder')
 
-    const response3 = await fetch('bit://example/$/tags/')
+    const manifest1 = await response1.json()
 
-    t.ok(response3.ok, 'Able to ask for tags')
-    t.deepEqual(await response3.json(), { tag1: version }, 'Tag got created')
+    t.deepEqual(manifest1.paths.sort(), ['/copied/nested/two.txt', '/copied/one.txt'], 'Copied files reported')
+    t.equal(response1.headers.get('ETag'), `"${manifest1.version}"`, 'Got new version')
 
-    // Insert a file which won't be available with the old tag
-    await fetch('bit://example/notaccessible.txt', { method: 'PUT', body: 'test' })
+    const response2 = await fetch('bit://example/copied/nested/two.txt')
 
-    const response4 = await fetch('bit://example+tag1/notaccessible.txt')
+    t.equal(await response2.text(), SAMPLE_CONTENT, 'Copied file has content')
 
-    t.equal(response4.status, 404, 'Newer file not found in older tag')
+    const response3 = await fetch('bit://example/moved/', {
+      method: 'POST',
+      headers: {
+        'x-move-from': '/copied/'
+      }
+    })
 
-    const response5 = await fetch('bit://example/$/tags/tag1', { method: 'DELETE' })
+    t.ok(response3.ok, 'Able to move folder')
 
-    t.ok(response5.ok, 'Able to delete tag')
+    const response4 = await fetch('bit://example/copied/one.txt')
 
-    const response6 = await fetch('bit://example/$/tags/')
+    t.equal(response4.status, 404, 'Moved files are gone from the source')
 
-    t.deepEqual(await response6.json(), {}, 'No tags left after delete')
+    const response5 = await fetch(`bit://example+${manifest1.version}/copied/one.txt`, {
+      method: 'COPY',
+      headers: {
+        Destination: 'bit://example/restored.txt'
+      }
+    })
+
+    t.ok(response5.ok, 'Able to copy from an older version')
+
+    const response6 = await fetch('bit://example/original/', { method: 'COPY', headers: { Destination: '/original/inner/' } })
+
+    t.equal(response6.status, 400, 'Unable to copy folder into itself')
+
+    const response7 = await fetch('bit://example/moved/?recursive', { method: 'DELETE' })
+
+    t.ok(response7.ok, 'Able to delete folder recursively')
+
+    const manifest2 = await response7.json()
+
+    t.deepEqual(manifest2.paths.sort(), ['/moved/nested/two.txt', '/moved/one.txt'], 'Deleted files reported')
+
+    const response8 = await fetch('bit://example/moved/')
+
+    t.equal(response8.status, 404, 'Folder is gone')
+  })
+
+  test('Create and follow symlinks', async (t) => {
+    await fetch('bit://example/linked/target.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response1 = await fetch('bit://example/linked/link.txt', {
+      method: 'PUT',
+      headers: {
+        'x-symlink-target': 'target.txt'
+      }
+    })
+
+    t.ok(response1.ok, 'Able to create symlink')
+
+    const response2 = await fetch('bit://example/linked/link.txt')
+
+    t.equal(await response2.text(), SAMPLE_CONTENT, 'Link got followed')
+
+    const response3 = await fetch('bit://example/linked/link.txt?noFollow')
+
+    t.equal(response3.headers.get('x-symlink-target'), 'target.txt', 'Got link target header')
+    t.equal(await response3.text(), 'target.txt', 'Got link itself')
+
+    const response4 = await fetch('bit://example/linked/?stats')
+    const files = await response4.json()
+    const link = files.find(({ name }) => name === 'link.txt')
+
+    t.equal(link.type, 'symlink', 'Link marked in listing')
+    t.equal(link.target, 'target.txt', 'Link target in listing')
+
+    await fetch('bit://example/linked/folder/inner.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    await fetch('bit://example/linked/folder-link', { method: 'PUT', headers: { 'x-symlink-target': 'folder' } })
+
+    const response5 = await fetch('bit://example/linked/')
+    const names = await response5.json()
+
+    t.deepEqual(names.find((file) => file.name === 'link.txt'), { name: 'link.txt', type: 'symlink', target: 'target.txt' }, 'Link marked in default listing')
+    t.deepEqual(names.find((file) => file.name === 'folder-link/'), { name: 'folder-link/', type: 'symlink', target: 'folder' }, 'Link to a folder ends with a slash')
+    t.ok(names.includes('target.txt'), 'Plain files still listed by name')
+
+    const response6 = await fetch('bit://example/linked/', { headers: { Accept: 'text/html' } })
+    const html = await response6.text()
+
+    t.ok(html.includes('./link.txt</a> &rarr; target.txt'), 'Link target shown in HTML list')
+    t.ok(html.includes('href="folder-link/"'), 'Folder link points into the folder')
+    t.notOk(html.includes('<table>'), 'Default HTML listing is still a list')
+
+    const response7 = await fetch('bit://example/linked/escape.txt', {
+      method: 'PUT',
+      headers: {
+        'x-symlink-target': '../../../etc/passwd'
+      }
+    })
+
+    t.equal(response7.status, 403, 'Unable to link outside drive')
+
+    await fetch('bit://example/linked/loop1', { method: 'PUT', headers: { 'x-symlink-target': 'loop2' } })
+    await fetch('bit://example/linked/loop2', { method: 'PUT', headers: { 'x-symlink-target': 'loop1' } })
+
+    const response8 = await fetch('bit://example/linked/loop1')
+
+    t.equal(response8.status, 508, 'Loops get detected')
+  })
+
+  test('Verify uploads with Digest and Content-Length', async (t) => {
+    const digest = crypto.createHash('sha256').update(SAMPLE_CONTENT).digest('base64')
+    const length = `${Buffer.byteLength(SAMPLE_CONTENT)}`
+
+    const response1 = await fetch('bit://example/verified.txt', {
+      method: 'PUT',
+      body: SAMPLE_CONTENT,
+      headers: {
+        'Content-Length': length,
+        'Content-Digest': `sha-256=:${digest}:`
+      }
+    })
+
+    t.ok(response1.ok, 'Able to upload with matching digest')
+
+    const response2 = await fetch('bit://example/verified.txt', { method: 'HEAD' })
+
+    t.equal(response2.headers.get('Digest'), `sha-256=${digest}`, 'Stored digest returned')
+
+    const response3 = await fetch('bit://example/unverified.txt', {
+      method: 'PUT',
+      body: SAMPLE_CONTENT,
+      headers: {
+        Digest: `sha-256=${crypto.createHash('sha256').update('Something else').digest('base64')}`
+      }
+    })
+
+    t.equal(response3.status, 400, 'Mismatched digest rejected')
+
+    const response4 = await fetch('bit://example/unverified.txt')
+
+    t.equal(response4.status, 404, 'Rejected file not written')
+
+    const response5 = await fetch('bit://example/truncated.txt', {
+      method: 'PUT',
+      body: SAMPLE_CONTENT,
+      headers: {
+        'Content-Length': '9000'
+      }
+    })
+
+    t.equal(response5.status, 400, 'Wrong Content-Length rejected')
+
+    await fetch('bit://example/plain.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response6 = await fetch('bit://example/plain.txt', {
+      method: 'HEAD',
+      headers: {
+        'Want-Digest': 'sha-256'
+      }
+    })
+
+    t.equal(response6.headers.get('Digest'), `sha-256=${digest}`, 'Digest calculated on request')
+  })
+
+  test('Store file metadata', async (t) => {
+    const response1 = await fetch('bit://example/metadata.txt', {
+      method: 'PUT',
+      body: SAMPLE_CONTENT,
+      headers: {
+        'x-metadata': JSON.stringify({ author: 'Someone', revision: 2 }),
+        'x-metadata-content-type': 'text/markdown'
+      }
+    })
+
+    t.ok(response1.ok, 'Able to write file with metadata')
+
+    const response2 = await fetch('bit://example/metadata.txt', { method: 'HEAD' })
+
+    t.equal(response2.headers.get('x-metadata-author'), 'Someone', 'Got metadata from JSON header')
+    t.equal(response2.headers.get('x-metadata-revision'), '2', 'Non-string values got serialized')
+    t.equal(response2.headers.get('Content-Type'), 'text/markdown', 'Stored type overrides guess')
+
+    const response3 = await fetch('bit://example/metadata.txt', {
+      method: 'PUT',
+      body: SAMPLE_CONTENT,
+      headers: {
+        'x-metadata': 'Not JSON'
+      }
+    })
+
+    t.equal(response3.status, 400, 'Invalid metadata rejected')
+  })
+
+  test('Mount drives', async (t) => {
+    const created = await fetch('bit://localhost/$/drives/?name=mounted', { method: 'POST' })
+    const { key } = await created.json()
+
+    await fetch(`bit://${key}/example.txt`, { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response1 = await fetch('bit://example/$/mounts/shared/', { method: 'PUT', body: `bit://${key}/` })
+
+    t.equal(response1.status, 201, 'Able to create mount')
+
+    const mount = await response1.json()
+
+    t.equal(mount.path, '/shared', 'Got mount path')
+    t.equal(mount.key, key, 'Got mounted key')
+
+    const response2 = await fetch('bit://example/shared/example.txt')
+
+    t.equal(await response2.text(), SAMPLE_CONTENT, 'Able to read through mount')
+
+    const response3 = await fetch('bit://example/$/mounts/')
+    const mounts = await response3.json()
+
+    t.ok(mounts.find(({ path }) => path === '/shared'), 'Mount got listed')
+
+    const response4 = await fetch('bit://example/?stats')
+    const files = await response4.json()
+    const entry = files.find(({ name }) => name === 'shared/')
+
+    t.equal(entry.mount.key, key, 'Mount point marked in listing')
+
+    const response5 = await fetch('bit://example/')
+    const names = await response5.json()
+    const point = names.find((file) => file.name === 'shared/')
+
+    t.equal(point.type, 'directory', 'Mount point listed as a folder')
+    t.equal(point.mount.key, key, 'Mount point marked in default listing')
+
+    const response6 = await fetch('bit://example/', { headers: { Accept: 'text/html' } })
+    const html = await response6.text()
+
+    t.ok(html.includes(`./shared/</a> (mounted from <a href="bit://${key}/">`), 'Mount shown in HTML list')
+
+    const response7 = await fetch('bit://example/$/mounts/shared/', { method: 'DELETE' })
+
+    t.ok(response7.ok, 'Able to remove mount')
+
+    const response8 = await fetch('bit://example/shared/example.txt')
+
+    t.equal(response8.status, 404, 'Mounted files no longer visible')
+
+    const response9 = await fetch('bit://example/$/mounts/other/', { method: 'PUT', body: 'https://example.com/' })
+
+    t.equal(response9.status, 400, 'Invalid mount targets rejected')
+
+    const response10 = await fetch('bit://example/$/mounts/other/', { method: 'PUT' })
+
+    t.equal(response10.status, 400, 'Mount without a body rejected')
+
+    await fetch('bit://example/$/mounts/my%20assets/', { method: 'PUT', body: `bit://${key}/` })
+    const response11 = await fetch('bit://example/my%20assets/example.txt')
+
+    t.equal(await response11.text(), SAMPLE_CONTENT, 'Able to read through mount with an encoded path')
+
+    const response12 = await fetch('bit://example/$/mounts/my%20assets/', { method: 'DELETE' })
+
+    t.ok(response12.ok, 'Able to remove mount with an encoded path')
   })
 
   test('Load Mauve\'s blog', async (t) => {
@@ -191,6 +1275,149 @@ async function runTests () {
     await reader.cancel()
   })
 
+  test('Watch a single file for changes', async (t) => {
+    await fetch('bit://example/watched.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const response = await fetch('bit://example/watched.txt', {
+      headers: {
+        Accept: 'text/event-stream'
+      }
+    })
+
+    t.ok(response.ok, 'Able to open request')
+
+    const reader = await response.body.getReader()
+    const toRead = reader.read()
+
+    // Unrelated writes shouldn't show up in the stream
+    await fetch('bit://example/unwatched.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    await fetch('bit://example/watched.txt', { method: 'PUT', body: 'Changed' })
+
+    const data = await toRead
+    const text = Buffer.from(data.value).toString()
+    const json = text.split('\n').find((line) => line.startsWith('data:')).slice('data:'.length)
+    const { version, changes } = JSON.parse(json)
+
+    t.ok(version, 'Got version of the change')
+    t.equal(changes.length, 1, 'Got a single change')
+    t.equal(changes[0].name, '/watched.txt', 'Change is for the watched file')
+    t.equal(changes[0].type, 'modified', 'File was modified')
+    t.equal(changes[0].stat.size, 'Changed'.length, 'Got new stat')
+    t.ok(changes[0].url.endsWith(`+${version}/watched.txt`), 'Got versioned URL')
+
+    await reader.cancel()
+  })
+
+  test('Replication events for a path', async (t) => {
+    await fetch('bit://example/replicated/example.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const domainResponse = await fetch('bit://example/.well-known/bit')
+    const domain = (await domainResponse.text()).split('\n')[0]
+
+    const response = await fetch(`${domain}/replicated/?events=upload`, {
+      headers: {
+        Accept: 'text/event-stream'
+      }
+    })
+
+    t.ok(response.ok, 'Able to open request')
+
+    const reader = await response.body.getReader()
+    const toRead = reader.read()
+
+    // Have the second peer load the file so the first one uploads it
+    const loaded = await fetch2(`${domain}/replicated/example.txt`)
+    t.equal(await loaded.text(), SAMPLE_CONTENT, 'Second peer loaded file')
+
+    const data = await toRead
+    const text = Buffer.from(data.value).toString()
+
+    t.ok(text.startsWith('event:upload\n'), 'Got upload event')
+
+    const json = text.split('\n').find((line) => line.startsWith('data:')).slice('data:'.length)
+    const { path, bytes } = JSON.parse(json)
+
+    t.equal(path, '/replicated/example.txt', 'Upload mapped to file path')
+    t.equal(bytes, SAMPLE_CONTENT.length, 'Got byte count for block')
+
+    // Files written after the stream opened get added to the index from the change
+    await fetch('bit://example/replicated/later.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    await delay(100)
+
+    const toReadLater = reader.read()
+    const loadedLater = await fetch2(`${domain}/replicated/later.txt`)
+    await loadedLater.text()
+
+    const laterData = await toReadLater
+    const laterText = Buffer.from(laterData.value).toString()
+    const laterJSON = laterText.split('\n').find((line) => line.startsWith('data:')).slice('data:'.length)
+
+    t.equal(JSON.parse(laterJSON).path, '/replicated/later.txt', 'New file got mapped to its path')
+
+    await reader.cancel()
+
+    await fetch('bit://example/unmapped.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+    await fetch('bit://example/mapped/example.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    // Without `?events` every event gets watched, block events should still be mapped
+    const defaultResponse = await fetch(`${domain}/mapped/`, {
+      headers: {
+        Accept: 'text/event-stream'
+      }
+    })
+    const defaultReader = await defaultResponse.body.getReader()
+    const toReadDefault = defaultReader.read()
+
+    await (await fetch2(`${domain}/unmapped.txt`)).text()
+    await (await fetch2(`${domain}/mapped/example.txt`)).text()
+
+    const defaultData = await toReadDefault
+    const defaultText = Buffer.from(defaultData.value).toString()
+    const defaultJSON = defaultText.split('\n').find((line) => line.startsWith('data:')).slice('data:'.length)
+
+    t.ok(defaultText.startsWith('event:upload\n'), 'Got upload event without the events parameter')
+    t.equal(JSON.parse(defaultJSON).path, '/mapped/example.txt', 'Only blocks under the path got emitted')
+
+    await defaultReader.cancel()
+  })
+
+  test('Download with progress', async (t) => {
+    await fetch('bit://example/prefetch/example.txt', { method: 'PUT', body: SAMPLE_CONTENT })
+
+    const domainResponse = await fetch('bit://example/.well-known/bit')
+    const domain = (await domainResponse.text()).split('\n')[0]
+
+    const response = await fetch2(`${domain}/prefetch/`, {
+      headers: {
+        Accept: 'text/event-stream',
+        'x-download': 'cache'
+      }
+    })
+
+    t.ok(response.ok, 'Able to open request')
+    t.equal(response.headers.get('Content-Type'), 'text/event-stream', 'Response is event stream')
+
+    const text = await response.text()
+    const events = text.split('\n\n').filter((event) => event).map((event) => {
+      const [eventLine, dataLine] = event.split('\n')
+      return {
+        event: eventLine.slice('event:'.length),
+        data: JSON.parse(dataLine.slice('data:'.length))
+      }
+    })
+
+    const fileEvent = events.find(({ event }) => event === 'file')
+
+    t.ok(fileEvent, 'Got file event')
+    t.equal(fileEvent.data.path, '/prefetch/example.txt', 'File event has path')
+
+    const done = events[events.length - 1]
+
+    t.equal(done.event, 'done', 'Stream ends with summary')
+    t.equal(done.data.totalDownloadedBlocks, done.data.totalBlocks, 'Everything got downloaded')
+    t.deepEqual(done.data.failures, [], 'No failures')
+  })
+
   test('Send extension from one peer to another', async (t) => {
     const domainResponse = await fetch('bit://example/.well-known/bit')
     const domain = (await domainResponse.text()).split('\n')[0]
@@ -254,6 +1481,74 @@ async function runTests () {
 
     await reader.cancel()
   })
+
+  test('List peers and control swarm', async (t) => {
+    const domainResponse = await fetch('bit://example/.well-known/bit')
+    const domain = (await domainResponse.text()).split('\n')[0]
+
+    const response1 = await fetch(`${domain}/$/peers/`)
+
+    t.ok(response1.ok, 'Able to list peers')
+
+    const peers = await response1.json()
+
+    t.equal(peers.length, 1, 'Got the peer from the other fetch instance')
+    t.equal(peers[0].remotePublicKey.length, 64, 'Peer has public key')
+
+    const swarmCalls = []
+    const swarmFetch = require('./')({
+      Bitdrive,
+      writable: true,
+      swarm: {
+        join: async (discoveryKey, opts) => swarmCalls.push(['join', discoveryKey.toString('hex'), opts]),
+        leave: async (discoveryKey) => swarmCalls.push(['leave', discoveryKey.toString('hex')])
+      }
+    })
+
+    const response2 = await swarmFetch(`${domain}/$/swarm?announce=false`, { method: 'PUT' })
+
+    t.ok(response2.ok, 'Able to join swarm')
+
+    const { discoveryKey } = await response2.json()
+
+    const response3 = await swarmFetch(`${domain}/$/swarm`)
+    const state = await response3.json()
+
+    t.ok(state.joined, 'Swarm state shows the drive got joined')
+    t.equal(state.announce, false, 'Swarm state has the announce flag')
+
+    const response4 = await swarmFetch(`${domain}/$/swarm`, { method: 'DELETE' })
+
+    t.ok(response4.ok, 'Able to leave swarm')
+    t.deepEqual(swarmCalls, [
+      ['join', discoveryKey, { announce: false, lookup: true }],
+      ['leave', discoveryKey]
+    ], 'Swarm got joined and left')
+
+    const response5 = await fetch(`${domain}/$/swarm`, { method: 'PUT' })
+
+    t.equal(response5.status, 501, 'Joining needs a swarm when Bitdrive is passed in')
+
+    const sdkFetch = require('./')({
+      persist: false,
+      writable: true
+    })
+
+    const response6 = await sdkFetch('bit://swarmed/$/swarm', { method: 'PUT' })
+
+    t.ok(response6.ok, 'Able to join swarm through the SDK')
+
+    const response7 = await sdkFetch('bit://swarmed/$/swarm')
+    const sdkState = await response7.json()
+
+    t.ok(sdkState.available && sdkState.joined, 'SDK swarm state shows the drive got joined')
+
+    const response8 = await sdkFetch('bit://swarmed/$/swarm', { method: 'DELETE' })
+
+    t.ok(response8.ok, 'Able to leave swarm through the SDK')
+
+    await sdkFetch.close()
+  })
 }
 
 function delay (time) {